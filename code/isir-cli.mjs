@@ -0,0 +1,647 @@
+#!/usr/bin/env node
+//****************************
+// Command-line interface for ISIR files using `isir-module.js`
+//   - `isir validate` reports field-level and record-level validation issues, and aid-eligibility blockers
+//   - `isir verify` lists verification selection and data elements to verify, or exports worksheets
+//   - `isir to-json` converts ISIR frames into line-delimited JSON using `isir_load_json`
+//   - `isir from-json` converts line-delimited JSON back into ISIR frames using `isir_from_json`
+//   - `isir to-xlsx` creates an Excel XLSX Spreadsheet compatible with `isir-from-spreadsheet.html` tool
+//   - `isir split` filters ISIR files by College codes, like `isir-split-by-college.html` tool
+//   - `isir anonymize` replaces personally identifiable information using `isir_anonymize`
+//   - `isir mock` generates reproducible mock ISIR frames using `isir_mock`
+//   - `isir schema` generates the JSON Schema or TypeScript declarations of `isir_load_json` output
+//
+// Exit codes: 0 success; 1 validation failures; 2 usage, input, or output errors
+//
+
+import fs from 'node:fs'
+import {once} from 'node:events'
+import path from 'node:path'
+import {parseArgs} from 'node:util'
+import {fileURLToPath} from 'node:url'
+import * as isir_module from './isir-module.js'
+
+const usage = `\
+Usage: isir <command> [options] <file>...
+
+Commands:
+  validate   Validate ISIR frames and SAIG trailer counts; exits with 1 upon any validation failure.
+             Aid-eligibility blockers are listed as holds or reviews, without failing validation
+               --format <format>   text (default), json, or a validation report by field
+                                   as csv or self-contained html
+               --no-rules          skip record-level (cross-field) rules
+               --profile <name>    validation profile: default, strict, lenient, or edexpress;
+                                   frames fail upon errors only, warnings are listed
+  verify     List verification selection, group, and the data elements flagged for verification
+               --format <format>   text (default), json, or a verification worksheet
+                                   as csv or printable html
+  to-json    Convert ISIR frames into line-delimited JSON, with correction, highlight, and verify flags
+             next to the values they describe, and explanations of comment and reject reason codes
+               --strict            fail upon any field validation failure
+  from-json  Convert line-delimited JSON of ISIRs, as from to-json or the .flat.ld-json download of
+             isir-from-spreadsheet.html, back into ISIR frames
+               --strict            fail upon any field validation failure
+  to-xlsx    Convert ISIR frames into an Excel XLSX spreadsheet (requires exceljs)
+  split      Filter ISIR files to the ISIRs listing a single selected College code (fields 108 to 127);
+             exits with 1 upon SAIG trailers with a non-standard mailbox, which are kept unchanged
+               --college <code>    College code to include; repeatable
+                                   lists College codes as JSON when omitted
+  anonymize  Replace names, SSNs, dates of birth, contact information, and UUIDs with consistent
+             synthetic values, keeping SAIG header and trailer lines
+               --report <file>     write the mapping of original to synthetic values as JSON;
+                                   contains PII, so keep it locally and never share it
+  mock       Generate mock ISIR frames from a scenario description; takes no <file> arguments
+               --scenario <json>   scenario for isir_mock, e.g. '{"dependency": "I", "pell": true}'
+               --template <n>      start from hand-crafted test ISIR scenario template 1 to 8,
+                                   with --scenario entries overriding the template
+               --seed <seed>       seed of the first ISIR, incremented for each ISIR (default: 0)
+               --count <n>         number of ISIRs to generate (default: 1)
+  schema     Generate the JSON Schema of the ISIR JSON of to-json; takes no <file> arguments
+               --format <format>   json (default) or TypeScript declarations as dts
+               --layout <year>     award-year layout (default: 2024-25)
+
+Options:
+  -o, --output <file>  write output to file instead of standard output
+  -q, --quiet          silence minor warnings from isir-module.js
+  -h, --help           show this help
+`
+
+const exit_ok = 0, exit_invalid = 1, exit_usage = 2
+
+class ISIRUsageError extends Error {} // reported with usage
+class ISIRInputError extends Error {}
+
+
+//****************************
+// Reading ISIR files
+//
+
+// Given a list of file paths, stream each ISIR frame with its source file, line number, and byte offset
+// using `aiter_isir_frames`; SAIG header and trailer lines and blank lines are skipped
+export async function * aiter_isir_frames_from_files(file_list) {
+    for (let file of file_list)
+        for await (let entry of _aiter_file_lines(file))
+            if ('isir' == entry.kind)
+                yield {file, ... entry}
+}
+
+async function * _aiter_file_lines(file) {
+    try {
+        yield * isir_module.aiter_isir_file_lines(fs.createReadStream(file))
+    } catch (err) {
+        if (!err.syscall) throw err // not a file system error
+        throw new ISIRInputError(`Unable to read ${JSON.stringify(file)}: ${err.message}`)
+    }
+}
+
+
+//****************************
+// `isir validate`
+//
+
+// Validate each ISIR frame and SAIG envelope of the files, returning a summary by file with a list of issues
+// and a list of aid-eligibility blockers
+export async function isir_validate_files(file_list, opt={}) {
+    let summary = {ok: true, frames: 0, invalid_frames: 0, invalid_envelopes: 0, held_frames: 0, files: []}
+
+    for (let file of file_list) {
+        let file_res = {file, frames: 0, invalid_frames: 0, invalid_envelopes: 0, held_frames: 0, issues: [], blockers: []}
+        summary.files.push(file_res)
+
+        for await (let {kind, line, text: isir_frame, invalid} of _aiter_file_lines(file)) {
+            if ('saig' == kind) {
+                if (invalid) { // mailbox, message class, or trailer record count
+                    file_res.invalid_envelopes++
+                    file_res.issues.push({line, field: null, name: null, value: null, severity: 'error', issues: [invalid]})
+                }
+                continue
+            } else if ('isir' != kind) continue
+
+            let issues = []
+            if (invalid) // frame length
+                issues.push({line, field: null, name: null, value: null, severity: 'error', issues: [invalid]})
+
+            let isir_validation = new Map() // collect validation errors and warnings by field
+            let mode = opt.profile ? {profile: opt.profile, mode: isir_validation} : isir_validation
+            isir_module.isir_load_report(isir_frame, {mode, rules: opt.rules})
+            for (let [field, {value, severity, issue_codes, issues: field_issues}] of isir_validation)
+                issues.push({line, field: field.idx, name: field.name || null, value, severity,
+                    codes: issue_codes.map(e => e.code), issues: field_issues})
+
+            file_res.frames++
+            if (issues.some(e => 'error' == e.severity))
+                file_res.invalid_frames++
+            file_res.issues.push(... issues)
+
+            // eligibility blockers read 2024-25 field positions
+            if ('2024-25' != isir_module.isir_layout_for(isir_frame).award_year) continue
+            let blockers = isir_module.isir_eligibility_blockers(isir_frame)
+            if (blockers.some(e => 'hold' == e.severity))
+                file_res.held_frames++
+            file_res.blockers.push(... blockers.map(({blocker, severity, note, fields}) => ({line, blocker, severity, note, fields})))
+        }
+
+        summary.frames += file_res.frames
+        summary.invalid_frames += file_res.invalid_frames
+        summary.invalid_envelopes += file_res.invalid_envelopes
+        summary.held_frames += file_res.held_frames
+    }
+
+    summary.ok = 0 == summary.invalid_frames && 0 == summary.invalid_envelopes
+    return summary
+}
+
+// Validate the ISIR frames of the files one at a time, combining their validation reports into one;
+// CSV rows are written as each frame is validated, and only the HTML report keeps the ISIR records
+async function _validation_report_from_files(files, opt) {
+    let report = {totals: {isirs: 0, invalid_isirs: 0, errors: 0, warnings: 0, held_isirs: 0}, counts: [], isirs: []}
+    let counts = new Map()
+    let out = 'csv' == opt.format ? _open_output(opt) : null
+    try {
+        for await (let entry of aiter_isir_frames_from_files(files)) {
+            let isir_report = isir_module.isir_validation_report([entry], {rules: !opt['no-rules'], profile: opt.profile})
+            isir_report.isirs[0].isir = report.totals.isirs + 1
+            for (let [key, total] of Object.entries(isir_report.totals))
+                report.totals[key] += total
+            for (let e of isir_report.counts) {
+                let key = `${e.field} ${e.code}`
+                if (counts.has(key)) counts.get(key).count += e.count
+                else counts.set(key, e)
+            }
+
+            if (out) await out.write(isir_module.isir_validation_report_csv(isir_report, {header: 1 == report.totals.isirs}))
+            else report.isirs.push(... isir_report.isirs)
+        }
+        if (out && 0 == report.totals.isirs)
+            await out.write(isir_module.isir_validation_report_csv(report))
+    } finally { await out?.close() }
+
+    report.counts = Array.from(counts.values())
+        .sort((a, b) => a.field - b.field || a.code.localeCompare(b.code))
+    return report
+}
+
+async function _cmd_validate(files, opt) {
+    if (!['json', 'text', 'csv', 'html'].includes(opt.format))
+        throw new ISIRUsageError(`Unknown format ${JSON.stringify(opt.format)}`)
+
+    if (opt.profile && !Object.hasOwn(isir_module.isir_validation_profiles, opt.profile))
+        throw new ISIRUsageError(`Unknown profile ${JSON.stringify(opt.profile)}`)
+
+    if (['csv', 'html'].includes(opt.format)) {
+        let report = await _validation_report_from_files(files, opt)
+        if ('html' == opt.format)
+            await _write_output(opt, isir_module.isir_validation_report_html(report))
+        return 0 == report.totals.invalid_isirs ? exit_ok : exit_invalid
+    }
+
+    let summary = await isir_validate_files(files, {rules: !opt['no-rules'], profile: opt.profile})
+    if ('json' == opt.format) {
+        await _write_output(opt, JSON.stringify(summary, null, 2)+'\n')
+    } else {
+        let lines = []
+        for (let {file, issues, blockers} of summary.files) {
+            for (let {line, field, name, value, severity, issues: msgs} of issues) {
+                let sz_issues = ('warning' == severity ? 'warning: ' : '') + msgs.join('; ')
+                lines.push(null == field
+                    ? `${file}:${line}: ${sz_issues}`
+                    : `${file}:${line}: f_${field}[${name || '(filler)'}] ${JSON.stringify(value)}: ${sz_issues}`)
+            }
+            for (let {line, blocker, severity, note, fields: [trigger]=[]} of blockers) {
+                let sz_trigger = trigger ? ` f_${trigger.field} ${JSON.stringify(trigger.value)}` : ''
+                lines.push(`${file}:${line}: ${severity}: ${blocker}${sz_trigger}: ${note}`)
+            }
+        }
+        lines.push(`${summary.invalid_frames} of ${summary.frames} ISIR frames failed validation`)
+        if (summary.held_frames)
+            lines.push(`${summary.held_frames} of ${summary.frames} ISIR frames have aid-eligibility holds`)
+        if (summary.invalid_envelopes)
+            lines.push(`${summary.invalid_envelopes} SAIG headers or trailers failed validation`)
+        await _write_output(opt, lines.join('\n')+'\n')
+    }
+
+    return summary.ok ? exit_ok : exit_invalid
+}
+
+
+//****************************
+// `isir verify`
+//
+
+async function _cmd_verify(files, opt) {
+    if (!['json', 'text', 'csv', 'html'].includes(opt.format))
+        throw new ISIRUsageError(`Unknown format ${JSON.stringify(opt.format)}`)
+
+    let verifications = []
+    for await (let {file, line, text: isir_frame} of aiter_isir_frames_from_files(files))
+        verifications.push({file, line, ... isir_module.isir_verification(isir_frame)})
+
+    if ('json' == opt.format)
+        await _write_output(opt, JSON.stringify(verifications, null, 2)+'\n')
+    else if ('csv' == opt.format)
+        await _write_output(opt, isir_module.isir_verification_worksheet_csv(verifications))
+    else if ('html' == opt.format)
+        await _write_output(opt, isir_module.isir_verification_worksheet_html(verifications))
+    else {
+        let lines = []
+        for (let {file, line, selected, group, items} of verifications) {
+            if (selected)
+                lines.push(`${file}:${line}: selected for verification, group ${group ? `${group.code} (${group.label})` : '(blank)'}`)
+            for (let {field, name, value, status} of items)
+                lines.push(`${file}:${line}: ${status}: f_${field}[${name}] ${JSON.stringify(value)}`)
+        }
+        let n_selected = verifications.filter(rec => rec.selected).length
+        lines.push(`${n_selected} of ${verifications.length} ISIR frames selected for verification`)
+        await _write_output(opt, lines.join('\n')+'\n')
+    }
+    return exit_ok
+}
+
+
+//****************************
+// `isir to-json`
+//
+
+async function _cmd_to_json(files, opt) {
+    let mode = opt.strict ? undefined : 'ignore'
+    let out = _open_output(opt)
+    try {
+        for await (let {file, line, text: isir_frame} of aiter_isir_frames_from_files(files)) {
+            try {
+                await out.write(JSON.stringify(isir_module.isir_load_json(isir_frame, {mode, flags: true, codes: true}))+'\n')
+            } catch (err) {
+                if (!(err instanceof isir_module.ISIRValidationError)) throw err
+                console.error(`${file}:${line}: ${err.message}`)
+                return exit_invalid
+            }
+        }
+    } finally { await out.close() }
+    return exit_ok
+}
+
+//****************************
+// `isir from-json`
+//
+
+async function _cmd_from_json(files, opt) {
+    let mode = opt.strict ? undefined : 'warn'
+    let out = _open_output(opt)
+    try {
+        for (let file of files) {
+            let text
+            try {
+                text = await fs.promises.readFile(file, 'utf-8')
+            } catch (err) {
+                throw new ISIRInputError(`Unable to read ${JSON.stringify(file)}: ${err.message}`)
+            }
+
+            for (let [idx, ln] of text.split(/\r?\n/).entries()) {
+                if (!ln.trim()) continue
+                let isir_frame
+                try {
+                    isir_frame = isir_module.isir_from_json(ln, {mode, rules: true})
+                } catch (err) {
+                    if (err instanceof isir_module.ISIRValidationError) {
+                        console.error(`${file}:${idx+1}: ${err.message}`)
+                        return exit_invalid
+                    }
+                    throw new ISIRInputError(`${file}:${idx+1}: ${err.message}`)
+                }
+                await out.write(isir_frame+'\r\n')
+            }
+        }
+    } finally { await out.close() }
+    return exit_ok
+}
+
+//****************************
+// `isir to-xlsx`
+//
+
+// Given a list of ISIR frames, generate rows for each field;
+// mirrors `iter_isir_list_to_field_rows` from `isir-viewer.html`
+export function * iter_isir_list_to_field_rows(isir_samples) {
+    let hdr_field = ['F#', 'Section', 'Field', 'V&V', 'Len']
+    let hdr_isirs = isir_samples.map((v,i) => `ISIR ${i+1}`)
+    yield [hdr_field, hdr_isirs, {header: true}]
+
+    // fields by section of the award-year layout of the first ISIR
+    let { isir_field_read_raw } = isir_module
+    for (let section of isir_module.isir_layout_for(isir_samples[0] ?? '').sections) {
+        let s_path = section.path.join('.')
+        for (let field of section.field_list) {
+            let row_field = [
+                `f_${field.idx}`, // F#
+                s_path, // Section
+                field.name ? field.path.join('.') : '(filler)', // Field
+                field.note.join('\r\n'), // V&V
+                field.len, // Len
+            ]
+
+            let row_isirs = isir_samples.map(isir => isir_field_read_raw(field, isir))
+
+            yield [row_field, row_isirs, {section, field}]
+        }
+    }
+}
+
+async function _cmd_to_xlsx(files, opt) {
+    if (!opt.output)
+        throw new ISIRUsageError('to-xlsx requires --output <file>')
+
+    let ExcelJS
+    try {
+        ExcelJS = (await import('exceljs')).default
+    } catch (err) {
+        throw new ISIRInputError('to-xlsx requires the exceljs package; install using `npm install exceljs`')
+    }
+
+    let isir_samples = []
+    for await (let {text} of aiter_isir_frames_from_files(files))
+        isir_samples.push(text)
+
+    // same styling as `isir_list_to_spreadsheet` from `isir-viewer.html`
+    let workbook = new ExcelJS.Workbook()
+    let ws_isir_mock = workbook.addWorksheet('ISIR Records')
+
+    for (let [row_field, row_isirs, row_ctx] of iter_isir_list_to_field_rows(isir_samples)) {
+        let xl_row = ws_isir_mock.addRow([row_field, '', row_isirs].flat())
+
+        if (row_ctx.header) {
+            var hdr_row_field = row_field  // capture the header fields
+            Object.assign(xl_row, {
+                font: { bold: true, underline: true },
+                fill: { type:'pattern', pattern:'solid', fgColor: {argb: 'cccccc'}},
+            })
+        }
+    }
+
+    for (let idx_col=1; idx_col <= hdr_row_field.length; idx_col++) {
+        Object.assign(ws_isir_mock.getColumn(idx_col), {
+            fill: { type:'pattern', pattern:'solid', fgColor: {argb: 'e8e8e8'}},
+        })
+    }
+
+    Object.assign(ws_isir_mock.getColumn(1 + hdr_row_field.length), {
+        fill: { type:'pattern', pattern:'solid', fgColor: {argb: '444444'}},
+    })
+
+    await workbook.xlsx.writeFile(opt.output)
+    return exit_ok
+}
+
+
+//****************************
+// `isir split`
+//
+
+// College code of an ISIR line listing a single College as College #1, using its award-year layout
+// College fields are 108 to 127 in 2024-25; null when listing several or no Colleges
+function _isir_line_single_college(ln) {
+    let [college, ... others] = _isir_college_fields(isir_module.isir_layout_for(ln))
+        .map(field => isir_module.isir_field_read_raw(field, ln).trim())
+    return college && others.every(other => !other) ? college : null
+}
+
+// College fields are the school code fields of the student school choices section
+const _college_fields_by_layout = new Map()
+function _isir_college_fields(layout) {
+    let field_list = _college_fields_by_layout.get(layout)
+    if (!field_list) {
+        let section = layout.sections.find(section => 'student.schools' == section.path.join('.'))
+        field_list = (section?.field_list ?? []).filter(field =>
+            field.options?.some(op => 'school_code' == op.op))
+        _college_fields_by_layout.set(layout, field_list)
+    }
+    return field_list
+}
+
+// Stream lines of ISIR files for included College codes, and SAIG control lines for all;
+// mirrors `ISIR_Splitout` from `isir-split-by-college.html`, including only ISIRs listing a single College as College #1.
+// SAIG trailers with a non-standard mailbox or message class are kept unchanged, adding to `envelope_issues`
+export async function * aiter_isir_split_lines(file_list, included_schools, envelope_issues=[]) {
+    included_schools = new Set(included_schools)
+    for (let file of file_list) {
+        let count = 0 // ISIR lines since the SAIG header
+        for await (let {kind, line, text: ln, saig} of _aiter_file_lines(file)) {
+            if ('isir' == kind) {
+                if (!included_schools.has(_isir_line_single_college(ln)))
+                    continue
+                count++
+            } else if ('header' == saig?.kind) {
+                count = 0
+            } else if ('trailer' == saig?.kind && null != saig.count) {
+                // SAIG trailer with count of included ISIRs
+                try {
+                    ln = isir_module.isir_saig_trailer({... saig, count})
+                } catch (err) {
+                    envelope_issues.push({file, line, issue: err.message})
+                }
+            }
+            // SAIG control lines are applicable to all colleges
+            yield ln+'\r\n'
+        }
+    }
+}
+
+// Inventory the College codes of ISIRs listing a single College in the files
+export async function isir_split_destinations(file_list) {
+    let destinations = new Set()
+    for await (let {text: ln} of aiter_isir_frames_from_files(file_list)) {
+        let college = _isir_line_single_college(ln)
+        if (college)
+            destinations.add(college)
+    }
+    return [... destinations].sort()
+}
+
+async function _cmd_split(files, opt) {
+    if (!opt.college?.length) {
+        await _write_output(opt, JSON.stringify(await isir_split_destinations(files))+'\n')
+        return exit_ok
+    }
+
+    let out = _open_output(opt), envelope_issues = []
+    try {
+        for await (let ln of aiter_isir_split_lines(files, opt.college, envelope_issues))
+            await out.write(ln)
+    } finally { await out.close() }
+
+    for (let {file, line, issue} of envelope_issues)
+        console.error(`${file}:${line}: ${issue}`)
+    return 0 == envelope_issues.length ? exit_ok : exit_invalid
+}
+
+//****************************
+// `isir anonymize`
+//
+
+// Stream lines of ISIR files with anonymized ISIR frames sharing `mapping`, and SAIG control lines unchanged
+export async function * aiter_isir_anonymize_lines(file_list, mapping=new Map()) {
+    for (let file of file_list)
+        for await (let {kind, text: ln} of _aiter_file_lines(file))
+            yield ('isir' == kind ? isir_module.isir_anonymize(ln, {mapping, mode: 'warn'}) : ln)+'\r\n'
+}
+
+async function _cmd_anonymize(files, opt) {
+    let mapping = new Map()
+    let out = _open_output(opt)
+    try {
+        for await (let ln of aiter_isir_anonymize_lines(files, mapping))
+            await out.write(ln)
+    } finally { await out.close() }
+
+    if (opt.report)
+        await _write_output({output: opt.report},
+            JSON.stringify(isir_module.isir_anonymize_report(mapping), null, 2)+'\n')
+    return exit_ok
+}
+
+//****************************
+// `isir mock`
+//
+
+async function _cmd_mock(files, opt) {
+    let scenario, count = +(opt.count ?? 1)
+    try {
+        scenario = JSON.parse(opt.scenario ?? '{}')
+    } catch (err) {
+        throw new ISIRUsageError(`Invalid --scenario JSON: ${err.message}`)
+    }
+    if (null != opt.template) {
+        let template = isir_module.isir_mock_templates[opt.template]
+        if (!template)
+            throw new ISIRUsageError(`Invalid --template ${JSON.stringify(opt.template)}; expected one of ${Object.keys(isir_module.isir_mock_templates).join(', ')}`)
+        scenario = {...template.scenario, ...scenario}
+    }
+    if (!Number.isInteger(count) || count < 0)
+        throw new ISIRUsageError(`Invalid --count ${JSON.stringify(opt.count)}`)
+
+    // numeric seeds are incremented for each ISIR; other seeds are suffixed with the ISIR index
+    let seed = opt.seed ?? '0'
+    let seed_for = isNaN(seed) ? i => `${seed}:${i}` : i => +seed + i
+
+    let out = _open_output(opt)
+    try {
+        for (let i=0; i < count; i++) {
+            let isir_frame
+            try {
+                isir_frame = isir_module.isir_mock(scenario, {seed: seed_for(i)})
+            } catch (err) {
+                throw new ISIRInputError(`Scenario ${JSON.stringify(scenario)}: ${err.message}`)
+            }
+            await out.write(isir_frame+'\r\n')
+        }
+    } finally { await out.close() }
+    return exit_ok
+}
+
+//****************************
+// `isir schema`
+//
+
+async function _cmd_schema(files, opt) {
+    if (!['text', 'json', 'dts'].includes(opt.format))
+        throw new ISIRUsageError(`Unknown format ${JSON.stringify(opt.format)}`)
+
+    let layout = opt.layout
+    if (layout && !isir_module.isir_layouts().has(layout))
+        throw new ISIRUsageError(`Unknown --layout ${JSON.stringify(layout)}; expected one of ${[... isir_module.isir_layouts().keys()].join(', ')}`)
+
+    await _write_output(opt, 'dts' == opt.format
+        ? isir_module.isir_json_dts({layout})
+        : JSON.stringify(isir_module.isir_json_schema({layout}), null, 2)+'\n')
+    return exit_ok
+}
+
+//****************************
+// Command dispatch
+//
+
+const cli_commands = {
+    __proto__: null,
+    validate: _cmd_validate,
+    verify: _cmd_verify,
+    'to-json': _cmd_to_json,
+    'from-json': _cmd_from_json,
+    'to-xlsx': _cmd_to_xlsx,
+    split: _cmd_split,
+    anonymize: _cmd_anonymize,
+    mock: _cmd_mock,
+    schema: _cmd_schema,
+}
+
+// commands generating ISIRs instead of reading ISIR files
+const cli_commands_without_files = new Set(['mock', 'schema'])
+
+// Output to `--output` file or standard output, waiting upon backpressure
+function _open_output(opt) {
+    let out = opt.output ? fs.createWriteStream(opt.output) : process.stdout
+    return {
+        async write(content) {
+            if (!out.write(content))
+                await once(out, 'drain')
+        },
+        async close() {
+            if (out !== process.stdout)
+                await new Promise((resolve, reject) => out.end(err => err ? reject(err) : resolve()))
+        },
+    }
+}
+
+async function _write_output(opt, content) {
+    let out = _open_output(opt)
+    try {
+        await out.write(content)
+    } finally { await out.close() }
+}
+
+// Run the command-line interface with `argv`, returning the exit code
+export async function isir_cli(argv) {
+    try {
+        let {values: opt, positionals: [command, ...files]} = parseArgs({
+            args: argv, allowPositionals: true,
+            options: {
+                output: {type: 'string', short: 'o'},
+                format: {type: 'string', default: 'text'},
+                'no-rules': {type: 'boolean'},
+                profile: {type: 'string'},
+                strict: {type: 'boolean'},
+                college: {type: 'string', multiple: true},
+                report: {type: 'string'},
+                scenario: {type: 'string'},
+                template: {type: 'string'},
+                seed: {type: 'string'},
+                count: {type: 'string'},
+                layout: {type: 'string'},
+                quiet: {type: 'boolean', short: 'q'},
+                help: {type: 'boolean', short: 'h'},
+            }})
+
+        if (opt.quiet)
+            console.warn = () => {}
+
+        if (opt.help) {
+            process.stdout.write(usage)
+            return exit_ok
+        }
+
+        let cmd = cli_commands[command]
+        if (!cmd)
+            throw new ISIRUsageError(command ? `Unknown command ${JSON.stringify(command)}` : 'Missing command')
+        if (0 == files.length && !cli_commands_without_files.has(command))
+            throw new ISIRUsageError('Missing ISIR <file> arguments')
+
+        return await cmd(files, opt)
+    } catch (err) {
+        if (err instanceof ISIRInputError) {
+            console.error(`isir: ${err.message}`)
+        } else if (err instanceof ISIRUsageError || /^ERR_PARSE_ARGS_/.test(err.code)) {
+            console.error(`isir: ${err.message}\n\n${usage}`)
+        } else throw err
+        return exit_usage
+    }
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) == fileURLToPath(import.meta.url))
+    process.exitCode = await isir_cli(process.argv.slice(2))
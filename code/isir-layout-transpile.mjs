@@ -0,0 +1,630 @@
+#!/usr/bin/env node
+//****************************
+// Transpiler from the FSA ISIR Record Layout in Excel format into `isir-module.js` definitions
+//   - `isir-layout-transpile <layout.xlsx>` emits the transpiled section of `isir-module.js`:
+//     `field_N` and `section_*` definitions, `isir_record_fields`, `isir_record_sections`, and `isir_module`
+//   - `--diff` reports field and section differences against the current `isir-module.js`
+//   - `--update` replaces the transpiled section of `isir-module.js` in place
+//
+// Curated annotations of the current module -- field and section `path`, `alias`, and validation
+// of fields whose Valid Content notes are unchanged -- are carried forward by field number.
+//
+// Exit codes: 0 success; 1 differences found with `--diff`; 2 usage or input errors
+//
+
+import fs from 'node:fs'
+import path from 'node:path'
+import {parseArgs} from 'node:util'
+import {fileURLToPath, pathToFileURL} from 'node:url'
+
+const usage = `\
+Usage: isir-layout-transpile [options] <layout.xlsx>
+
+Options:
+  --module <file>      current isir-module.js (default: isir-module.js next to this script)
+  --diff               report differences against the current module; exits with 1 upon any difference
+  --format text|json   diff output format (default: text)
+  --update             replace the transpiled section of the current module
+  -o, --output <file>  write output to file instead of standard output
+  -h, --help           show this help
+`
+
+const exit_ok = 0, exit_changed = 1, exit_usage = 2
+
+class ISIRUsageError extends Error {} // reported with usage
+class ISIRInputError extends Error {}
+
+const _rx_transpiled_section = /(\/\/\* BEGIN TRANSPILED SECTION \*+\n\/\/\*+)([^]*?)(\n\/\/\*+\n\/\/\* END TRANSPILED SECTION)/
+
+
+//****************************
+// Reading the layout workbook
+//
+
+// Header columns of the record layout worksheet, matched by header text
+const _layout_columns = {
+    idx: /^field\s*(#|no\b|num)/i,
+    name: /^(field\s*)?name/i,
+    pos_start: /start/i,
+    pos_end: /end/i,
+    len: /^len(gth)?\b/i,
+    note: /valid\s*(content|values)/i,
+    extra: /^(notes?|comments?)\b/i,
+    fafsa_category: /fafsa|question/i,
+}
+
+/**
+ * Read the FSA ISIR Record Layout workbook into sections of field rows
+ * @param {string} xlsx_path
+ * @returns {Promise<Array>} - list of `{section, rows: [{idx, name, len, pos_start, pos_end, note, extra, fafsa_category}]}`
+ */
+export async function isir_layout_read_workbook(xlsx_path) {
+    let ExcelJS
+    try {
+        ExcelJS = (await import('exceljs')).default
+    } catch (err) {
+        throw new ISIRInputError('Reading the layout workbook requires the exceljs package; install using `npm install exceljs`')
+    }
+
+    let workbook = new ExcelJS.Workbook()
+    try {
+        await workbook.xlsx.readFile(xlsx_path)
+    } catch (err) {
+        throw new ISIRInputError(`Unable to read ${JSON.stringify(xlsx_path)}: ${err.message}`)
+    }
+
+    for (let ws of workbook.worksheets) {
+        let row_list = []
+        ws.eachRow(xl_row => row_list.push(
+            Array.from({length: xl_row.cellCount}, (_, i) => xl_row.getCell(1+i).text.trim())))
+
+        let layout_sections = isir_layout_from_rows(row_list)
+        if (layout_sections) return layout_sections
+    }
+    throw new ISIRInputError(`No ISIR record layout worksheet found in ${JSON.stringify(xlsx_path)}`)
+}
+
+/**
+ * Collect sections of field rows from worksheet rows of cell text.
+ * Rows without a field number following the header row are section titles.
+ * @param {Array<Array<string>>} row_list
+ * @returns {Array|undefined} - undefined when no header row is found
+ */
+export function isir_layout_from_rows(row_list) {
+    let idx_hdr = row_list.findIndex(cells => cells.some(text => _layout_columns.idx.test(text)))
+    if (-1 == idx_hdr) return
+
+    let col = {}
+    row_list[idx_hdr].forEach((text, i) => {
+        for (let [attr, rx] of Object.entries(_layout_columns))
+            if (!(attr in col) && rx.test(text)) return col[attr] = i
+    })
+    for (let attr of ['idx', 'name', 'pos_start'])
+        if (!(attr in col))
+            throw new ISIRInputError(`Missing layout column for "${attr}"`)
+
+    let layout_sections = [], section = null
+    for (let cells of row_list.slice(1+idx_hdr)) {
+        let idx_text = cells[col.idx] || ''
+        if (!/^\d+$/.test(idx_text)) {
+            let title = cells.find(text => text)
+            if (title && !_layout_columns.idx.test(idx_text)) // skip repeated header rows
+                layout_sections.push(section = {section: title, rows: []})
+            continue
+        }
+
+        let _lines = i => undefined === i ? [] : (cells[i] || '').split(/\r?\n/).filter(ln => ln.trim())
+        let row = {idx: +idx_text, name: cells[col.name],
+            pos_start: +cells[col.pos_start] - 1,
+            pos_end: +cells[col.pos_end],
+            len: +cells[col.len],
+            note: _lines(col.note), extra: _lines(col.extra),
+            fafsa_category: _lines(col.fafsa_category)}
+
+        if (undefined === col.pos_end) row.pos_end = row.pos_start + row.len
+        if (undefined === col.len) row.len = row.pos_end - row.pos_start
+        if (!(row.len > 0) || row.len != row.pos_end - row.pos_start)
+            throw new ISIRInputError(`Inconsistent length and positions for field ${row.idx}`)
+
+        if (!section)
+            layout_sections.push(section = {section: null, rows: []})
+        section.rows.push(row)
+    }
+    return layout_sections
+}
+
+
+//****************************
+// Transpiling field rows into field and section definitions
+//
+
+/**
+ * Convert sections of field rows into field and section definitions, carrying forward
+ * curated annotations of the `current` layout, e.g. as from {@link isir_layout_from_module}.
+ *
+ * Field validation is derived from the Valid Content notes, unless the notes are unchanged
+ * from the current field definition, in which case the current validation is retained.
+ *
+ * @param {Array} layout_sections - from {@link isir_layout_read_workbook}
+ * @param {*} current - `{fields, sections}` definitions of the current layout
+ * @returns {*} - `{fields, sections}` definitions
+ */
+export function isir_layout_transpile(layout_sections, current) {
+    let current_sections = new Map(current?.sections.map(s => [s.section, s]))
+    let res = {fields: [], sections: []}
+
+    for (let {section: title, rows} of layout_sections) {
+        let prior = current_sections.get(title)
+        let sect_path = prior?.path || [_as_path_key(title || 'record').toLowerCase()]
+        let section = {section: title, path: sect_path, field_list: []}
+        res.sections.push(section)
+
+        let category = null
+        for (let row of rows) {
+            let field = _transpile_field(row, current?.fields[row.idx])
+
+            // category title is listed with the first field of each FAFSA category only
+            let [question, title] = field.fafsa_category || []
+            if (title) {
+                if (category == title)
+                    field.fafsa_category = [question]
+                category = title
+            }
+
+            res.fields[field.idx] = field
+            section.field_list.push(field)
+        }
+    }
+    return res
+}
+
+const _as_path_key = name => name.replace(/[^0-9A-Za-z]+/g, ' ').trim().replace(/ /g, '_')
+
+function _transpile_field(row, prior) {
+    let field = {len: row.len, pos_start: row.pos_start, pos_end: row.pos_end, idx: row.idx}
+
+    if (/^filler\b/i.test(row.name)) {
+        Object.assign(field, {name: null, extra: row.name, non_content: true, note: row.note})
+        return field
+    }
+
+    // renamed fields keep their curated path; the diff reports the name change for review
+    field.name = row.name || null
+    if (prior?.alias) field.alias = prior.alias
+    let path = prior?.path || (field.name && [_as_path_key(field.name)])
+    if (path) field.path = path
+    if (row.fafsa_category.length) field.fafsa_category = row.fafsa_category
+    if (row.extra.length) field.extra = row.extra
+
+    if (prior && JSON.stringify(prior.note) == JSON.stringify(row.note)) {
+        for (let [attr, value] of Object.entries(prior))
+            if (!(attr in _field_layout_attrs))
+                field[attr] = value
+    } else Object.assign(field, isir_layout_field_validation(row.note, row))
+    field.note = row.note
+    return field
+}
+
+// attributes of a field definition taken from the layout rows rather than carried forward
+const _field_layout_attrs = {len: 1, pos_start: 1, pos_end: 1, idx: 1, name: 1, alias: 1, path: 1, fafsa_category: 1, extra: 1, note: 1}
+
+
+/**
+ * Derive field validation from the Valid Content notes of the record layout, and the field name
+ * for SSN and UUID fields and the validation curated in {@link isir_layout_curated_validation}
+ * @param {Array<string>} note
+ * @param {*} row - `{name, len}` of the field row
+ * @returns {*} - `{validate, allow_blank, empty, expect, options}` or `{non_content}` when not validated
+ */
+export function isir_layout_field_validation(note, row={}) {
+    let res = {}, options = [], format_ops = [], enum_options = {}
+    let text_chars = null // punctuation listed after "Alphanumeric: ..." text
+
+    for (let ln of note) {
+        let m
+        if ('Blank' == ln) {
+            res.allow_blank = true
+        } else if (m = /will always be “(.*?)”|^Exact string: “(.*?)”$/.exec(ln)) {
+            Object.assign(res, {validate: '_validate_expect', expect: m[1] ?? m[2], non_content: true})
+        } else if (/^Format is CCYYMMDD\b/.test(ln)) {
+            res.validate = '_validate_date'
+        } else if (/^Format is CCYYMM$/.test(ln)) {
+            res.validate = '_validate_yearmonth'
+        } else if (m = /^Format is 9+v(9+)$/.exec(ln)) {
+            return {validate: '_validate_fixed_decimal', divisor: 10 ** m[1].length} // implied decimal
+        } else if (/^See description in the Correction, Highlight, and Verify Flags/.test(ln)) {
+            Object.assign(res, {validate: '_validate_correction', empty: '000'})
+        } else if (/See State Codes/.test(ln)) {
+            res.validate = '_validate_state_codes'
+        } else if (/See Country Codes/.test(ln)) {
+            res.validate = '_validate_country_codes'
+        } else if (m = /^(?:Numeric within valid date range; )?(-?\d+) to (-?\d+|current date)$/.exec(ln)) {
+            options.push({op: 'range', min: m[1], max: 'current date' == m[2] ? _layout_current_date : m[2]})
+        } else if (m = /^(\d+) to (\d+) = (.*)$/.exec(ln)) {
+            for (let i=+m[1]; i<=+m[2]; i++)
+                enum_options[i] = m[3]
+        } else if (/0, B, E, and G valid for 1st position|^Valid characters for first position are 0 \(zero\), B, E, or G$/.test(ln)) {
+            format_ops.push({op: 'school_code'})
+        } else if (/^Numeric school code or region code$/.test(ln)) {
+            format_ops.push({op: 'school_code'}, {op: 'region_code'})
+        } else if (/^\d\. One and only one at-sign '@' allowed\.$/.test(ln)) {
+            format_ops.push({op: 'email'})
+        } else if (/^“FTXXXXX”/.test(ln)) {
+            format_ops.push({op: 'eti_destination'})
+        } else if (/^Format is 9{13}XX\b/.test(ln)) {
+            format_ops.push({op: 'dhs_case_number'})
+        } else if (/^\w+ 3-digit numeric comment codes$/.test(ln)) {
+            format_ops.push({op: 'comment_codes'})
+            res.allow_blank = false
+        } else if (/^Year in format: “CCYY”$/.test(ln)) {
+            format_ops.push({op: 'year'})
+        } else if (/^Alphanumeric: /.test(ln)) {
+            text_chars = []
+        } else if (null != text_chars && (m = /^(\S?) \(.*\)$/.exec(ln))) {
+            text_chars.push(m[1]) // e.g. "- (dash)" and " (space)"
+        } else if (/^(Uppercase letters A to Z|Alpha Code)$/.test(ln)) {
+            format_ops.push({op: 'alphanumeric'})
+        } else if (/= Uppercase letters A to Z$/.test(ln)) {
+            // character class of a format description
+        } else if (m = /^(\S+) [=-] (.*)$/.exec(ln)) {
+            enum_options['Blank' == m[1] ? '' : m[1]] = m[2]
+        } else if (m = /^(\S+) or (\S+)$/.exec(ln)) {
+            enum_options[m[1]] = m[1]
+            enum_options[m[2]] = m[2]
+        } else if (m = /^([0-9A-Z]) \(.*\)$/.exec(ln)) {
+            enum_options[m[1]] = m[1] // e.g. "Y (more than one)"
+        } else if ('N/A' == ln) {
+            enum_options[ln] = ln
+        } else if (/^Numeric \(CCYYMMDD\)$/.test(ln)) {
+            options.push({op: 'date'})
+        } else if (m = /^(Numeric|Alphanumeric|Alpha)$/.exec(ln)) {
+            let op = /UUID$/.test(row.name) && 'Alphanumeric' == m[1] ? 'uuid' : m[1].toLowerCase()
+            if (!options.some(e => e.op == op))
+                options.push({op})
+        } else if ('For Federal Student Aid use only' == ln) {
+            // reserved
+        } else if (/^[A-Z][A-Za-z ]*$/.test(ln) && ln.length <= row.len) {
+            enum_options[ln] = ln // listed values, e.g. "True" and "False"
+        }
+    }
+
+    // names and addresses allow further punctuation than the alphanumeric validator
+    if (text_chars?.every(chr => '-' == chr || '' == chr))
+        format_ops.push({op: 'alphanumeric'})
+
+    if (format_ops.length) {
+        // format validators replace ranges; a "Blank = ..." description is not an option
+        options = format_ops
+        delete enum_options['']
+    } else if (/^Social Security Number$/.test(row.name)) {
+        options = options.map(op => 'range' == op.op ? {... op, op: 'ssn'} : op)
+    }
+
+    if (Object.keys(enum_options).length)
+        options.push({op: 'enum', options: enum_options})
+    if (/^_validate_(state|country)_codes$/.test(res.validate))
+        delete res.allow_blank // code table validators do not use allow_blank
+
+    if ('_validate_date' == res.validate && !options.length)
+        options.push({op: 'date'})
+    if (options.length) {
+        res.validate ??= '_validate_options'
+        res.options = options
+    } else if (!res.validate) {
+        return {non_content: true}
+    }
+    return {... res, ... isir_layout_curated_validation[row.name]}
+}
+
+// upper bound of "current date" ranges, e.g. dates of birth, through the end of the 2024-25 award year's calendar year
+const _layout_current_date = '20251231'
+
+/**
+ * Validation curated beyond the Valid Content notes of the record layout, by field name
+ */
+export const isir_layout_curated_validation = {
+    __proto__: null,
+    'FAFSA UUID': {allow_blank: true},
+    'Transaction UUID': {allow_blank: true},
+    'Person UUID': {allow_blank: true},
+    'Date of Birth': {allow_blank: true},
+    'Student Is Selected For Verification': {empty: 'N'},
+    'NSLDS Postscreening Reason Code': {allow_blank: true, opt_len: 2},
+    'Reject Reason Codes': {allow_blank: true},
+    'Use User Provided Data Only': {empty: 'False'},
+    'IRS response code': {allow_blank: true},
+}
+
+
+/**
+ * Field and section definitions of an `isir-module.js` namespace, in the form used by {@link isir_layout_transpile}
+ * @param {*} isir_module - module namespace with `isir_record_fields` and `isir_record_sections`
+ * @returns {*} - `{fields, sections}` definitions
+ */
+export function isir_layout_from_module(isir_module) {
+    let fields = isir_module.isir_record_fields.map(field => {
+        let res = {... field}
+        if (field.validate) res.validate = field.validate.name
+        if (field.options) res.options = field.options.map(e => ({... e}))
+        return res
+    })
+    let sections = isir_module.isir_record_sections.map(section => ({
+        ... section, field_list: section.field_list.map(field => fields[field.idx])}))
+    return {fields, sections}
+}
+
+
+//****************************
+// Emitting `isir-module.js` transpiled section
+//
+
+const _J = value => JSON.stringify(value)
+const _banner = title => `//*********************************************\r\n// ${title}\r\n//\r\n`
+
+/**
+ * Emit the transpiled section of `isir-module.js` from field and section definitions
+ * @param {*} layout - `{fields, sections}` definitions
+ * @param {Array<string>} module_exports - lines of hand-written exports listed in the `isir_module` namespace
+ * @returns {string}
+ */
+export function isir_layout_emit(layout, module_exports=[]) {
+    let out = ['\r\n\r\n']
+    for (let section of layout.sections) {
+        out.push(_banner(`Section: ${section.section}`))
+        for (let field of section.field_list)
+            out.push('\r\n', isir_layout_emit_field(field))
+        out.push('\r\n\r\n', _emit_section(section), '\r\n\r\n')
+    }
+
+    let field_names = layout.fields.filter(Boolean).map(field => `field_${field.idx}`)
+    let section_names = layout.sections.map(_section_name)
+    out.push(_banner('ISIR record'), '\r\n',
+        `export const isir_record_fields = /* #__PURE__ */ [, ${field_names.join(', ')}];\r\n`, '\r\n',
+        `export const isir_record_sections = /* #__PURE__ */ [${section_names.join(', ')}];\r\n`, '\r\n\r\n',
+        'export const isir_module = (namespace=(globalThis.isir_module={})) =>\r\n',
+        '    Object.assign(namespace, {\r\n',
+        ... module_exports.map(ln => `${ln}\r\n`),
+        `      ${section_names.join(', ')},\r\n`,
+        `      ${field_names.join(', ')},\r\n`,
+        '    })\r\n')
+    return out.join('')
+}
+
+const _section_name = section => `section_${section.path.join('_')}`
+
+function _emit_section(section) {
+    return [
+        `export const ${_section_name(section)} = /* #__PURE__ */ {`,
+        `    section: ${_J(section.section)},`,
+        `    path: ${_J(section.path)},`,
+        `    field_list: [${section.field_list.map(field => `field_${field.idx}`).join(', ')}],`,
+        '}\r\n'].join('\r\n')
+}
+
+/**
+ * Emit a `field_N` definition
+ * @param {*} field - field definition, with `validate` as the name of the validation function
+ * @returns {string}
+ */
+export function isir_layout_emit_field(field) {
+    let {len, pos_start, pos_end, idx, name, alias, path, fafsa_category, non_content, extra,
+        validate, allow_blank, empty, expect, options, note, ... other} = field
+
+    let head = `idx: ${idx}, name: ${_J(name)}, `
+    if (alias) head += `alias: ${_J(alias)}, `
+    if (path) head += `path: ${_J(path)}, `
+    if (fafsa_category) head += `fafsa_category: ${_J(fafsa_category)}, `
+
+    let lines = [head]
+    if (extra) lines.push(`extra: ${_J(extra)},`)
+    if (validate) {
+        let ln = `validate: ${validate},`
+        if (undefined !== allow_blank) ln += ` allow_blank: ${allow_blank},`
+        if (undefined !== empty) ln += ` empty: ${_J(empty)},`
+        lines.push(ln)
+        if (undefined !== expect)
+            lines.push(`expect: ${_J(expect)},${non_content ? ' non_content: true,' : ''}`)
+    } else if (non_content) {
+        if (extra) lines.push('non_content: true, ')
+        else lines[0] += 'non_content: true, '
+    }
+
+    if (Object.keys(other).length)
+        lines.push(`${_J(other).slice(1, -1)},`)
+
+    if (options) {
+        lines.push('options: [')
+        for (let {op, options: op_options, ... op_args} of options) {
+            let inner = _J(op_args).slice(1, -1)
+            if (!op_options) {
+                lines.push(`  {op: ${_J(op)}, ${inner}},`)
+                continue
+            }
+            lines.push(`  {op: ${_J(op)}, ${inner ? inner+', ' : ''}options: {`)
+            for (let [k, v] of Object.entries(op_options))
+                lines.push(`    ${_J(k)}: ${_J(v)},`)
+            lines.push('  }},')
+        }
+        lines.push('],')
+    }
+
+    if (note?.length)
+        lines.push('note: [', note.map(ln => `    ${_J(ln)}`).join(',\n    '), ']};')
+    else lines.push('note: []};')
+
+    return `export const field_${idx} = {len: ${len}, pos_start: ${pos_start}, pos_end: ${pos_end},\n`
+        + lines.map(ln => `    ${ln}\n`).join('')
+}
+
+
+//****************************
+// Differences between layouts
+//
+
+/**
+ * Compare field and section definitions of the current and transpiled layouts
+ * @param {*} current - `{fields, sections}` definitions
+ * @param {*} transpiled - `{fields, sections}` definitions
+ * @returns {Array} - list of `{idx, name, kind: 'added'|'removed'|'changed', changes: [{attr, current, transpiled}]}`;
+ *   section differences use `section` instead of `idx`
+ */
+export function isir_layout_diff(current, transpiled) {
+    let res = []
+
+    let idx_max = Math.max(current.fields.length, transpiled.fields.length)
+    for (let idx=1; idx < idx_max; idx++) {
+        let cur = current.fields[idx], next = transpiled.fields[idx]
+        if (!cur && !next) continue
+        if (!cur) res.push({idx, name: next.name, kind: 'added', changes: []})
+        else if (!next) res.push({idx, name: cur.name, kind: 'removed', changes: []})
+        else {
+            let changes = _diff_attrs(cur, next)
+            if (changes.length)
+                res.push({idx, name: next.name, kind: 'changed', changes})
+        }
+    }
+
+    const _section_attrs = ({section, path, field_list}) =>
+        ({path, field_list: field_list.map(field => field.idx)})
+    let by_title = new Map(current.sections.map(s => [s.section, s]))
+    for (let section of transpiled.sections) {
+        let cur = by_title.get(section.section)
+        by_title.delete(section.section)
+        if (!cur) res.push({section: section.section, kind: 'added', changes: []})
+        else {
+            let changes = _diff_attrs(_section_attrs(cur), _section_attrs(section))
+            if (changes.length)
+                res.push({section: section.section, kind: 'changed', changes})
+        }
+    }
+    for (let title of by_title.keys())
+        res.push({section: title, kind: 'removed', changes: []})
+    return res
+}
+
+function _diff_attrs(cur, next) {
+    let changes = []
+    for (let attr of new Set([... Object.keys(cur), ... Object.keys(next)])) {
+        let a = _canonical(cur[attr]), b = _canonical(next[attr])
+        if (a !== b)
+            changes.push({attr, current: cur[attr], transpiled: next[attr]})
+    }
+    return changes
+}
+
+// JSON with sorted object keys, as option order is not significant
+const _canonical = value => JSON.stringify(value, (k, v) =>
+    v && 'object' == typeof v && !Array.isArray(v)
+        ? Object.fromEntries(Object.entries(v).sort(([a], [b]) => a < b ? -1 : a > b ? 1 : 0))
+        : v)
+
+/**
+ * Format differences from {@link isir_layout_diff} as text
+ * @param {Array} diff_list
+ * @returns {string}
+ */
+export function isir_layout_diff_text(diff_list) {
+    let out = []
+    for (let {idx, name, section, kind, changes} of diff_list) {
+        out.push(undefined !== section
+            ? `section ${_J(section)}: ${kind}`
+            : `f_${idx}[${name}]: ${kind}`)
+        for (let {attr, current, transpiled} of changes)
+            out.push(`    ${attr}:`, `      - ${_J(current)}`, `      + ${_J(transpiled)}`)
+    }
+    return out.map(ln => `${ln}\n`).join('')
+}
+
+/**
+ * Locate the transpiled section of `isir-module.js` source text
+ * @param {string} module_text
+ * @returns {*} - `{section_text, module_exports}` for {@link isir_layout_emit}, or undefined when not found
+ */
+export function isir_layout_module_section(module_text) {
+    let m_section = _rx_transpiled_section.exec(module_text)
+    if (!m_section) return
+
+    // hand-written exports are listed in the namespace before the sections and fields
+    let m_exports = /Object\.assign\(namespace, \{\r?\n([^]*?)\r?\n {6}section_/.exec(m_section[2])
+    let module_exports = m_exports ? m_exports[1].split(/\r?\n/) : []
+    return {section_text: m_section[2], module_exports}
+}
+
+
+//****************************
+// Command-line interface
+//
+
+async function _load_current_module(module_path) {
+    let module_text
+    try {
+        module_text = fs.readFileSync(module_path, 'utf-8')
+    } catch (err) {
+        throw new ISIRInputError(`Unable to read ${JSON.stringify(module_path)}: ${err.message}`)
+    }
+
+    let {module_exports} = isir_layout_module_section(module_text) ?? {}
+    if (!module_exports)
+        throw new ISIRInputError(`No transpiled section found in ${JSON.stringify(module_path)}`)
+
+    let isir_module = await import(pathToFileURL(module_path))
+    return {module_text, module_exports, current: isir_layout_from_module(isir_module)}
+}
+
+// Run the command-line interface with `argv`, returning the exit code
+export async function isir_layout_transpile_cli(argv) {
+    try {
+        let {values: opt, positionals: [xlsx_path, ...rest]} = parseArgs({
+            args: argv, allowPositionals: true,
+            options: {
+                module: {type: 'string', default: fileURLToPath(new URL('./isir-module.js', import.meta.url))},
+                diff: {type: 'boolean'},
+                format: {type: 'string', default: 'text'},
+                update: {type: 'boolean'},
+                output: {type: 'string', short: 'o'},
+                help: {type: 'boolean', short: 'h'},
+            }})
+
+        if (opt.help) {
+            process.stdout.write(usage)
+            return exit_ok
+        }
+        if (!xlsx_path || rest.length)
+            throw new ISIRUsageError(xlsx_path ? 'Expected a single <layout.xlsx> argument' : 'Missing <layout.xlsx> argument')
+        if (opt.diff && opt.update)
+            throw new ISIRUsageError('Use either --diff or --update')
+
+        let {module_text, module_exports, current} = await _load_current_module(opt.module)
+        let transpiled = isir_layout_transpile(await isir_layout_read_workbook(xlsx_path), current)
+
+        if (opt.diff) {
+            let diff_list = isir_layout_diff(current, transpiled)
+            _write_output(opt, 'json' == opt.format
+                ? JSON.stringify(diff_list, null, 2) + '\n'
+                : isir_layout_diff_text(diff_list))
+            return diff_list.length ? exit_changed : exit_ok
+        }
+
+        let section_text = isir_layout_emit(transpiled, module_exports)
+        if (opt.update) {
+            module_text = module_text.replace(_rx_transpiled_section, (_, begin, __, end) => begin + section_text + end)
+            fs.writeFileSync(opt.module, module_text)
+        } else _write_output(opt, section_text)
+        return exit_ok
+    } catch (err) {
+        if (err instanceof ISIRInputError) {
+            console.error(`isir-layout-transpile: ${err.message}`)
+        } else if (err instanceof ISIRUsageError || /^ERR_PARSE_ARGS_/.test(err.code)) {
+            console.error(`isir-layout-transpile: ${err.message}\n\n${usage}`)
+        } else throw err
+        return exit_usage
+    }
+}
+
+function _write_output(opt, content) {
+    if (opt.output) fs.writeFileSync(opt.output, content)
+    else process.stdout.write(content)
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) == fileURLToPath(import.meta.url))
+    process.exitCode = await isir_layout_transpile_cli(process.argv.slice(2))
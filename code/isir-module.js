@@ -3,7 +3,7 @@
 //
 // Definitions for sections and fields is generated (transpiled)
 // from the [2024–25 Final ISIR Record Layout in Excel Format, 96KB](https://fsapartners.ed.gov/sites/default/files/2023-11/2024-25ISIRNov2023.xlsx)
-// definition of ISIR Layout Volume 4 specification.
+// definition of ISIR Layout Volume 4 specification, using `isir-layout-transpile.mjs`.
 //
 
 
@@ -39,27 +39,35 @@ export function isir_field_read(field, isir_frame, mode) {
  *   if mode.set is a function, invoke to collect errors by field (Map protocol compatible)
  *   if mode == 'warn', use `console.warn` and proceed
  *   otherwise or mode == null, throw error
+ *
+ * Each issue found has a code of {@link isir_issue_codes} and a severity selected by a validation profile.
+ * Use `{profile, mode}` as mode to select a named profile of {@link isir_validation_profiles} (or a profile object),
+ * handling failures using the nested `mode` as above. Issues of 'warning' severity are collected or
+ * warned about like failures, but never throw and leave the result valid.
  * 
  * @param {ISIRField} field
  * @param {string} value -- for validation against field
  * @param {*} mode -- options for handling validation errors
- * @returns {value: string, field: ISIRField, result?:*, invalid?:bool|string}
+ * @returns {value: string, field: ISIRField, result?:*, invalid?:bool|string, issues?:string[], issue_codes?:Array, severity?:string}
  */
 export function isir_field_validate(field, value, mode) {
-    let valid, res={__proto__: {field}, raw: value, value}, issues=[]
+    let profile
+    ;({mode, profile} = _isir_validation_mode(mode))
+    let valid, res={__proto__: {field}, raw: value, value}, codes=[]
     value = `${value}`.trimEnd()
 
     // Detect left-padding spaces or zero issues. Spec change from prior years.
     let m_padding = value.match(/^(?<pad_space>\s+)|^-?(?<pad_zero>\s*0\d+)/)
     if (m_padding?.groups.pad_space) {
-        issues.push('not left justified')
+        codes.push('not_left_justified')
         value = value.trimStart()
     }
+    if (m_padding?.groups.pad_zero && _isir_field_is_numeric(field))
+        codes.push('zero_padded') // only numeric fields; Street, SSNs, etc. may start with zeros
 
     valid = field.validate?.(value, field)
 
-    if (!valid && m_padding?.groups.pad_zero) {
-        // issues.push('zero padded') // currently too noisy for non-numeric fields (Street, SSNs, etc.)
+    if (!valid && field.validate && m_padding?.groups.pad_zero) {
         value = value.replace(/^(-)?\s*0+([^0].*)/, '$1$2')
         valid = field.validate?.(value, field)
     }
@@ -74,30 +82,115 @@ export function isir_field_validate(field, value, mode) {
     }
 
     if (false == valid)
-        issues.push('invalid field value')
-    else if (0 < issues.length)
-        valid = false
-    else if (false != valid) {
+        codes.push('invalid_value')
+
+    let issue_codes = _isir_issue_codes(codes, profile)
+    if (0 < issue_codes.length) {
+        res.issue_codes = issue_codes
+        res.severity = _isir_issue_severity(issue_codes)
+    }
+
+    if (!_isir_severity_reported(res.severity)) {
         if (null != valid)
             res.invalid = false
         return res
     }
 
-    res.invalid = `f_${field.idx} raw: ${JSON.stringify(value)}`
-    res.issues = issues
+    res.invalid = 'error' == res.severity && `f_${field.idx} raw: ${JSON.stringify(value)}`
+    res.issues = issue_codes.filter(e => _isir_severity_reported(e.severity)).map(e => e.issue)
+
+    return _isir_validation_failed(res, mode,
+        `ISIR field f_${field.idx}[${field.name}] failed validation`)
+}
 
+/**
+ * Handle a negative validation result using `mode`, as described in {@link isir_field_validate}
+ * @param {*} res - negative validation result with `field` and `issues`
+ * @param {*} mode -- options for handling validation errors
+ * @param {string} msg_invalid -- message used for warnings and errors
+ * @returns {*} - res
+ */
+function _isir_validation_failed(res, mode, msg_invalid) {
     if (false == mode || 'ignore' == mode) {
         // passthrough
     } else if (mode?.set) {
-        mode.set(field, res) // a map
-    } else {
-        let msg_invalid = `ISIR field f_${field.idx}[${field.name}] failed validation`
-        if (mode=='warn')
-            console.warn('%s (value: %o)', msg_invalid, value, field, issues)
-        else throw new ISIRValidationError(msg_invalid, res)
-    }
+        mode.set(res.field, res) // a map
+    } else if (mode=='warn' || 'warning' == res.severity) {
+        console.warn('%s (value: %o)', msg_invalid, res.value, res.field, res.issues)
+    } else throw new ISIRValidationError(msg_invalid, res)
     return res // return negative validation result
 }
+
+/**
+ * Validation issue codes with their default severity and issue text.
+ * Severities are 'error' (failed validation), 'warning' (reported, but valid),
+ * 'info' (recorded in `issue_codes` of the result only), or 'off' (not reported).
+ */
+export const isir_issue_codes = {
+    invalid_value: {severity: 'error', issue: 'invalid field value'},
+    not_left_justified: {severity: 'error', issue: 'not left justified'},
+    zero_padded: {severity: 'off', issue: 'zero padded'}, // numeric fields only
+    rule_required: {severity: 'error', issue: 'required'},
+    rule_not_allowed: {severity: 'error', issue: 'not allowed'},
+    rule_inconsistent: {severity: 'error', issue: 'inconsistent'},
+}
+
+/**
+ * Named validation profiles, overriding the severity of issue codes of {@link isir_issue_codes}.
+ * Select a profile using `{profile, mode}` as mode of {@link isir_field_validate},
+ * {@link isir_load_report}, or {@link isir_record_validate}.
+ */
+export const isir_validation_profiles = {
+    // severities of isir_issue_codes; used when no profile is selected
+    default: {},
+    // 2024-25 specification: numeric fields are left justified without zero padding
+    strict: {zero_padded: 'error'},
+    // ISIRs of prior award years and legacy systems, which right justified or zero padded values
+    lenient: {not_left_justified: 'warning', zero_padded: 'info',
+        rule_required: 'warning', rule_not_allowed: 'warning', rule_inconsistent: 'warning'},
+    // EdExpress compatible: fields must import as valid content; formatting and consistency issues are warnings
+    edexpress: {zero_padded: 'warning',
+        rule_required: 'warning', rule_not_allowed: 'warning', rule_inconsistent: 'warning'},
+}
+
+const _isir_severities = ['off', 'info', 'warning', 'error']
+const _isir_severity_reported = severity => 'warning' == severity || 'error' == severity
+
+// Resolve `{profile, mode}` into the nested mode and the profile object
+function _isir_validation_mode(mode) {
+    if (null == mode?.profile)
+        return {mode, profile: isir_validation_profiles.default}
+
+    let profile =
+        'string' == typeof mode.profile
+            ? Object.hasOwn(isir_validation_profiles, mode.profile) && isir_validation_profiles[mode.profile]
+        : 'object' == typeof mode.profile ? mode.profile
+        : null
+    if (!profile)
+        throw new Error(`Unknown ISIR validation profile ${JSON.stringify(mode.profile)}; expected one of ${Object.keys(isir_validation_profiles).join(', ')}`)
+    return {mode: mode.mode, profile}
+}
+
+// Issue codes with severities from `profile`, excluding those turned off
+function _isir_issue_codes(codes, profile, note) {
+    return codes.map(code => ({code,
+            severity: profile[code] ?? isir_issue_codes[code].severity,
+            issue: note ? `${isir_issue_codes[code].issue}: ${note}` : isir_issue_codes[code].issue}))
+        .filter(e => 'off' != e.severity)
+}
+
+const _isir_issue_severity = issue_codes =>
+    _isir_severities[Math.max(... issue_codes.map(e => _isir_severities.indexOf(e.severity)))]
+
+// Numeric fields with a value range, excluding ranges zero padded by specification such as A-Number;
+// implied decimals and "Numeric" NSLDS amounts are zero padded by specification
+function _isir_field_is_numeric(field) {
+    if (_validate_options != field.validate) return false
+    let ops = field.options ?? []
+    return ops.some(op => 'range' == op.op)
+        && !ops.some(op => /^0\d/.test(op.min ?? ''))
+}
+
 export class ISIRValidationError extends Error {
     constructor(msg, info) { super(msg); this.info = info }
 }
@@ -164,36 +257,148 @@ export function isir_field_update(field, isir_frame, value, mode) {
     return false == mode ? [isir, res.error, res] : isir
 }
 
+/**
+ * Encode a typed JavaScript value into the spec formatted string value of `field`,
+ * for use with {@link isir_field_update}.
+ *
+ *   null, undefined, or blank: the field default (`empty` or `expect`), or blank;
+ *     with `opt.generate`, a new random UUID for UUID fields
+ *   Date: CCYYMMDD for date fields, CCYYMM for year-month fields, or CCYY for year fields, using UTC
+ *   boolean: the code of the "True" or "Yes" (or "False" or "No") option of the field;
+ *     false is blank for checkbox fields allowing blank without a "False" or "No" option
+ *   number: integer text, zero padded when the field range is, or scaled by `divisor` for implied decimals
+ *   string: trimmed; an option label such as "Independent" is replaced by its code,
+ *     and common country code misunderstandings (e.g. "USA") are corrected
+ *
+ * Values of other types, or types not applicable to `field`, throw an error with `info`.
+ * Encoded values are not validated; see {@link isir_field_validate}.
+ *
+ * @param {ISIRField} field
+ * @param {*} value
+ * @param {*} opt - {generate} to generate UUIDs for blank UUID fields
+ * @returns {string} - value formatted for field
+ */
+export function isir_field_encode(field, value, opt={}) {
+    if ('string' == typeof value)
+        value = value.trim()
+    if (null == value || '' === value) {
+        if (opt.generate && _isir_field_ops(field).includes('uuid'))
+            return _isir_random_uuid()
+        return `${field.empty ?? field.expect ?? ''}`
+    }
+
+    let encode = _isir_field_encoders[typeof value] ?? (value instanceof Date && _isir_field_encoders.date)
+    let sz_value = encode ? encode(field, value) : null
+    if (null == sz_value) {
+        let err = new Error(`Unable to encode ${value instanceof Date ? 'Date' : typeof value} for ISIR field f_${field.idx}[${field.name}]`)
+        err.info = {field, value}
+        throw err
+    }
+    return sz_value
+}
+
+const _isir_field_ops = field => (field.options ?? []).map(op => op.op)
+const _isir_field_enum_options = field =>
+    (field.options ?? []).flatMap(op => 'enum' == op.op ? Object.entries(op.options) : [])
+
+// Common misunderstandings of ISIR country codes
+const _isir_country_aliases = {__proto__: null, USA: 'US', UK: 'GB'}
+
+// Encoders by JavaScript value type, returning null when not applicable to the field
+const _isir_field_encoders = {
+    __proto__: null,
+    date(field, dt) {
+        if (isNaN(dt)) return null
+        let ymd = dt.toISOString().slice(0, 10).replace(/-/g, '')
+        return _validate_date == field.validate ? ymd
+            : _validate_yearmonth == field.validate ? ymd.slice(0, 6)
+            : _isir_field_ops(field).includes('year') ? ymd.slice(0, 4)
+            : null
+    },
+    boolean(field, flag) {
+        const code_of = labels => _isir_field_enum_options(field)
+            .find(([code, label]) => labels.includes(label.toLowerCase()))?.[0]
+        let code = flag ? code_of(['true', 'yes']) : code_of(['false', 'no'])
+        // unchecked "Yes" only checkbox
+        if (null == code && !flag && field.allow_blank && null != code_of(['true', 'yes']))
+            return ''
+        return code ?? null
+    },
+    number(field, num) {
+        if (!Number.isFinite(num)) return null
+        if (field.divisor)
+            return `${Math.round(num * field.divisor)}`
+        num = Math.round(num)
+        let op = field.options?.find(op => 'range' == op.op || 'ssn' == op.op)
+        let zero_pad = op && /^0./.test(op.min) ? op.min.length : 0
+        return num < 0 ? `${num}` : `${num}`.padStart(zero_pad, '0')
+    },
+    string(field, sz_value) {
+        if (_validate_country_codes == field.validate)
+            return _isir_country_aliases[sz_value.toUpperCase()] ?? sz_value.toUpperCase()
+        if (_validate_state_codes == field.validate)
+            return sz_value.toUpperCase()
+
+        let enum_options = _isir_field_enum_options(field)
+        if (enum_options.some(([code]) => code == sz_value))
+            return sz_value
+        let [code] = enum_options.find(([code, label]) =>
+            label.toLowerCase() == sz_value.toLowerCase()) ?? []
+        return code ?? sz_value
+    },
+}
+
+function _isir_random_uuid() {
+    if (globalThis.crypto?.randomUUID)
+        return crypto.randomUUID()
+    let hex = Array.from(crypto.getRandomValues(new Uint8Array(16)), v => v.toString(16).padStart(2, '0')).join('')
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-4${hex.slice(13, 16)}-${'89ab'[parseInt(hex[16], 16) & 3]}${hex.slice(17, 20)}-${hex.slice(20)}`
+}
+
 
-let _isir_blank // cache blank ISIR frame
+const _isir_blank = new Map() // cache blank ISIR frame by layout
 /**
  * Return a new blank ISIR frame using field definitions
+ * @param {*} opt - {layout} award year or layout; see {@link isir_layout_for}. Defaults to 2024-25
  * @returns string - isir_frame with spec defaults
  */
-export function isir_blank() {
-  if (!_isir_blank) {
-    _isir_blank = ''
-    for (let field of isir_record_fields)
+export function isir_blank(opt) {
+  let layout = isir_layout_for('', opt)
+  let isir_frame = _isir_blank.get(layout)
+  if (!isir_frame) {
+    isir_frame = ''
+    for (let field of layout.fields)
         if (!field) ;
         else if (field.empty)
-            _isir_blank += field.empty
+            isir_frame += field.empty
         else if (field.expect)
-            _isir_blank += `${field.expect}`.padEnd(field.len, ' ')
-        else _isir_blank += ' '.repeat(field?.len || 0)
+            isir_frame += `${field.expect}`.padEnd(field.len, ' ')
+        else isir_frame += ' '.repeat(field?.len || 0)
+    _isir_blank.set(layout, isir_frame)
   }
-  return _isir_blank
+  return isir_frame
 }
 
 
 /**
  * Load all ISIR fields by section from an ISIR frame, performing validation
  * @param {string} isir_frame
- * @param {*} options
- * @returns {*}
+ * @param {*} options - {mode} as for {@link isir_field_validate};
+ *   {layout} to override award-year layout detection, see {@link isir_layout_for};
+ *   {rules} true or a list of rules to also evaluate record-level rules, see {@link isir_record_validate}
+ * @returns {*} - list of section reports; `rule_violations` lists record-level rule violations when rules are evaluated
  */
 export function isir_load_report(isir_frame, opt) {
-    return isir_record_sections.map(section =>
+    let layout = isir_layout_for(isir_frame, opt)
+    let isir_report = layout.sections.map(section =>
         isir_section_report(section, isir_frame, opt))
+    isir_report.layout = layout
+
+    // opt-in record-level rules are evaluated after all fields have been validated;
+    // rules reference 2024-25 field indexes
+    if (opt?.rules && layout.fields === isir_record_fields)
+        isir_report.rule_violations = isir_record_validate(isir_frame, opt)
+    return isir_report
 }
 
 /**
@@ -224,12 +429,13 @@ export function isir_section_report(section, isir_frame, opt={}) {
 /**
  * Load all ISIR fields into structured JSON from an ISIR frame, performing validation
  * @param {string} isir_frame
- * @param {*} options
+ * @param {*} options - {layout} to override award-year layout detection; see {@link isir_layout_for};
+ *   {flags} to embed correction flags, and {codes} to explain comment and reject reason codes; see {@link isir_section_json}
  * @returns {*}
  */
 export function isir_load_json(isir_frame, opt) {
     let isir_res = {__proto__: {isir: isir_frame}}
-    for (let section of isir_record_sections) {
+    for (let section of isir_layout_for(isir_frame, opt).sections) {
         let sect_res = isir_section_json(section, isir_frame, opt)
         _isir_set_path(isir_res, section.path, sect_res)
     }
@@ -240,24 +446,107 @@ export function isir_load_json(isir_frame, opt) {
  * Load all ISIR fields for a section into structured JSON from an ISIR frame, performing validation
  * @param {ISIRSection} section
  * @param {string} isir_frame
- * @param {*} options - for {mode} option, see parameter from {@link isir_field_validate}
+ * @param {*} options - for {mode} option, see parameter from {@link isir_field_validate};
+ *   {flags} to add correction, highlight, and verify flags set for a field as `<name>_flags` next to its value;
+ *   {codes} to add explanations of comment and reject reason codes as `<name>_explained`, see {@link isir_codes_explain}
  * @returns {*}
  */
 export function isir_section_json(section, isir_frame, opt={}) {
-    let {mode, skip_empty} = opt.trim ? {mode: opt} : opt
+    let {mode, skip_empty, flags, codes} = opt.trim ? {mode: opt} : opt
     let sect_res = {__proto__: {section}}
+    let flag_fields = flags ? _isir_correction_map(isir_layout_for(isir_frame, opt)).flag_fields : null
 
     for (let field of section.field_list) {
-        if ( field.non_content ) continue; // then skip
+        if ( field.non_content && !field.path ) continue; // then skip filler; keep free-text names and addresses
 
         let value = isir_field_read(field, isir_frame, mode)
         if (!skip_empty || value || (null != value && '' != value))
             _isir_set_path(sect_res, field.path, value)
+
+        let flag_field = flag_fields?.get(field)
+        if (flag_field) {
+            let {correction, highlight, verify} = isir_correction_flags(flag_field, isir_frame)
+            if (_isir_correction_flags_set({correction, highlight, verify}))
+                _isir_set_path(sect_res, [... field.path.slice(0, -1), `${field.path.at(-1)}_flags`],
+                    {correction, highlight, verify})
+        }
+
+        let explained = codes && _isir_codes_explain(field, isir_field_read_raw(field, isir_frame))
+        if (explained?.length)
+            _isir_set_path(sect_res, [... field.path.slice(0, -1), `${field.path.at(-1)}_explained`], explained)
     }
 
     return sect_res
 }
 
+/**
+ * Build an ISIR frame from structured JSON, the inverse of {@link isir_load_json}.
+ * Field values are encoded using {@link isir_field_encode} and validated using {@link isir_field_update};
+ * empty strings are kept blank, while fields absent from the JSON or `null` use their blank defaults.
+ *
+ * Accepts the nested section and field paths of {@link isir_load_json} (e.g. `{student: {identity: {First_Name}}}`,
+ * or NSLDS `{NSLDS: {pell_grant: {by_index: {1: {School_Code}}}}}`), ignoring `<name>_flags` and `<name>_explained`
+ * entries; or the list of `{idx, value}` entries of the `.flat.ld-json` download of `isir-from-spreadsheet.html`.
+ * Entries not matching any field throw an error, to catch misspelled names of hand-edited JSON.
+ *
+ * @param {*} obj - structured JSON, as an object or JSON text
+ * @param {*} opt - {mode} as for {@link isir_field_validate}; {layout} award year or layout, defaulting to 2024-25;
+ *   {rules} true or a list of rules to also evaluate record-level rules, see {@link isir_record_validate}
+ * @returns {string} - isir_frame
+ */
+export function isir_from_json(obj, opt={}) {
+    let {mode} = opt = opt.trim ? {mode: opt} : opt
+    if ('string' == typeof obj)
+        obj = JSON.parse(obj)
+
+    let layout = isir_layout_for('', opt)
+    let isir_frame = isir_blank({layout})
+    const update = (field, value) => {
+        let res = isir_field_update(field, isir_frame, '' === value ? value : isir_field_encode(field, value), mode)
+        isir_frame = false === mode ? res[0] : res // [isir, error, res] without validation
+    }
+
+    if (Array.isArray(obj)) { // flat list of {idx, value} entries
+        for (let {idx, value} of obj) {
+            let field = layout.fields[idx]
+            if (!field)
+                throw new Error(`Unknown ISIR field index ${JSON.stringify(idx)}`)
+            update(field, value)
+        }
+    } else {
+        let used = new Set()
+        for (let section of layout.sections)
+            for (let field of section.field_list) {
+                if (!field.path) continue // filler
+                let key_path = [... section.path, ... field.path]
+                let value = _isir_get_path(obj, key_path)
+                if (undefined !== value) {
+                    used.add(key_path.join('.'))
+                    update(field, value)
+                }
+            }
+
+        let unknown = _isir_json_leaf_paths(obj).filter(key =>
+            !used.has(key) && !/_(flags|explained)$/.test(key.split('.').at(-1)) && !/_(flags|explained)\./.test(key))
+        if (unknown.length)
+            throw new Error(`Unknown ISIR JSON entries: ${unknown.join(', ')}`)
+    }
+
+    if (opt.rules && layout.fields === isir_record_fields)
+        isir_record_validate(isir_frame, opt)
+    return isir_frame
+}
+
+const _isir_get_path = (obj, key_path) =>
+    key_path.reduce((tip_obj, key) => null == tip_obj ? undefined : tip_obj[key], obj)
+
+// Dotted paths of the non-object values of structured JSON
+function _isir_json_leaf_paths(obj, prefix=[]) {
+    if (null == obj || 'object' != typeof obj)
+        return [prefix.join('.')]
+    return Object.entries(obj).flatMap(([key, value]) => _isir_json_leaf_paths(value, [... prefix, key]))
+}
+
 
 const _absent_fill = (tgt, key, as_obj) => tgt[key] = ({}) // (as_obj ? {} : [])
 /**
@@ -282,23 +571,27 @@ export function _isir_set_path(tip_obj, key_path, value, absent=_absent_fill) {
 }
 
 
-let _isir_proto_
+const _isir_proto_ = new Map() // cache model prototype by layout
 /**
  * Load an ISIR structured object model from an ISIR frame
  * @param {string} isir_frame
+ * @param {*} opt - {layout} to override award-year layout detection; see {@link isir_layout_for}
  * @returns {*}
  */
-export function isir_model_from(isir_frame) {
-  _isir_proto_ ??= _init_isir_model()
-  return Object.create(_isir_proto_, {$: {value: [isir_frame]}})
+export function isir_model_from(isir_frame, opt) {
+  let layout = isir_layout_for(isir_frame, opt)
+  let isir_proto = _isir_proto_.get(layout)
+  if (!isir_proto)
+    _isir_proto_.set(layout, isir_proto = _init_isir_model(layout))
+  return Object.create(isir_proto, {$: {value: [isir_frame]}})
 }
 
 /**
  * (Advanced) Utility for creating ISIR model prototypes from section paths and field paths. 
  */
-function _init_isir_model() {
+function _init_isir_model(layout) {
   let by_field_idx = {}, propByField = new Map()
-  for (let field of isir_record_fields)
+  for (let field of layout.fields)
     if (null != field)
       propByField.set(field, 
         by_field_idx['f_'+field.idx] = _isir_field_prop(field))
@@ -312,7 +605,7 @@ function _init_isir_model() {
     return grp }
 
   let by_path = {}
-  for (let section of isir_record_sections) {
+  for (let section of layout.sections) {
     let sect_props = _isir_set_path(by_path, section.path.concat(null), void 0, _absent_structure)
 
     for (let field of section.field_list)
@@ -337,12 +630,2349 @@ function _init_isir_model() {
             let field_res = isir_field_validate(field, sz_value)
             return field_res },
         set(value) {
-            return this.$[0] = isir_field_update(field, this.$[0], value) },
+            return this.$[0] = isir_field_update(field, this.$[0], isir_field_encode(field, value)) },
     }
     return prop
   }
 }
 
+/**
+ * Load the household of an ISIR as contributor objects on top of {@link isir_model_from}, one for each of
+ * the student, student spouse, parent, and parent spouse or partner, so that application code can iterate
+ * over contributors instead of field paths. Values are read and assigned as in the ISIR model, sharing its frame.
+ *
+ * Each contributor has `person`, `label`, whether it is `present` (any identity field is not blank), and groups
+ * `identity`, `non_financial`, `demographic`, `financial_manual`, and `financial_ftim` (the ISIR model sections, or null),
+ * `consent` (consent to retrieve FTI, affirmation status, and date consent granted; fields 268–275),
+ * `signature` (signature, date, and signature source; fields 288–291),
+ * and `matches` (SSA and TransUnion match statuses).
+ *
+ * @param {string} isir_frame - ISIR frame, or an ISIR model from {@link isir_model_from}
+ * @param {*} opt - {layout} as for {@link isir_model_from}
+ * @returns {*} - {model, contributors, student, student_spouse, parent, parent_spouse},
+ *   where `contributors` lists the present contributors in that order
+ */
+export function isir_household_from(isir_frame, opt) {
+    let model = 'string' == typeof isir_frame ? isir_model_from(isir_frame, opt) : isir_frame
+    _isir_require_2024_25(model.$[0], 'isir_household_from', opt)
+    let layout = isir_layout_for(model.$[0], opt)
+    let household = {model}
+    for (let [person, groups] of Object.entries(_isir_household_persons))
+        household[person] = _isir_contributor(model, layout, person, groups)
+    household.contributors = Object.keys(_isir_household_persons)
+        .map(person => household[person]).filter(contributor => contributor.present)
+    return household
+}
+
+// Contributor labels and field indexes of groups picked from other ISIR model sections, for 2024-25
+const _isir_household_persons = {
+    student: {label: 'Student',
+        consent: [128, 268, 272], signature: [129, 130, 288], matches: [563, 276, 562]},
+    student_spouse: {label: 'Student Spouse',
+        consent: [162, 269, 273], signature: [163, 164, 289], matches: [564, 277]},
+    parent: {label: 'Parent',
+        consent: [218, 270, 274], signature: [219, 220, 290], matches: [565, 278]},
+    parent_spouse: {label: 'Parent Spouse or Partner',
+        consent: [252, 271, 275], signature: [253, 254, 291], matches: [566, 279]},
+}
+const _isir_household_sections = ['identity', 'non_financial', 'demographic', 'financial_manual', 'financial_ftim']
+
+function _isir_contributor(model, layout, person, {label, ... groups}) {
+    // read raw values, as model accessors throw upon invalid values
+    let identity = layout.sections.find(section => person == section.path[0] && 'identity' == section.path[1])
+    let contributor = {person, label,
+        get present() {
+            return !!identity?.field_list.some(field => field.path && isir_field_read_raw(field, model.$[0]).trim()) },
+    }
+    for (let key of _isir_household_sections)
+        contributor[key] = model[person]?.[key] ?? null
+
+    // (Subtle) group field accessors of the ISIR model prototype by field name, sharing the model frame
+    let model_proto = Object.getPrototypeOf(model)
+    for (let [key, field_idx_list] of Object.entries(groups)) {
+        let props = {$: {value: model.$}}
+        for (let idx of field_idx_list) {
+            let prop = Object.getOwnPropertyDescriptor(model_proto, `f_${idx}`)
+            if (prop && layout.fields[idx]?.path)
+                props[layout.fields[idx].path.at(-1)] = {... prop, enumerable: true}
+        }
+        contributor[key] = Object.create(null, props)
+    }
+    return contributor
+}
+
+
+//****************************
+// ISIR award-year layouts
+//
+
+const _isir_layouts = new Map()
+
+/**
+ * Register the ISIR record layout of an award year, as transpiled from the FSA ISIR Record Layout.
+ * Accepts a layout object, or a module namespace exporting one as `isir_layout`.
+ *
+ * @param {*} layout - {award_year, fields, sections}; optional `year_indicator` defaults to the
+ *   expected value of field 1, and optional `record_len` to the end position of the last field
+ * @returns {*} - the registered layout
+ */
+export function isir_layout_register(layout) {
+    layout = layout.isir_layout ?? layout
+    let {award_year, fields, sections} = layout
+    if (!award_year || !fields || !sections)
+        throw new Error('ISIR layout requires award_year, fields, and sections')
+
+    if ('2024-25' != award_year)
+        isir_layouts() // register the 2024-25 layout first
+
+    layout = {
+        year_indicator: fields[1]?.expect,
+        record_len: fields.reduce((len, field) => Math.max(len, field?.pos_end ?? 0), 0),
+        ... layout }
+    _isir_layouts.set(award_year, layout)
+    return layout
+}
+
+/**
+ * Registered ISIR layouts by award year. The 2024-25 layout of this module is registered first.
+ * @returns {Map}
+ */
+export function isir_layouts() {
+    if (!_isir_layouts.has('2024-25'))
+        isir_layout_register({award_year: '2024-25', fields: isir_record_fields, sections: isir_record_sections})
+    return _isir_layouts
+}
+
+/**
+ * Detect the award-year layout of an ISIR frame from its Year Indicator (field 1) and record length.
+ * A matching Year Indicator is used when the record length differs, e.g. from trimmed trailing spaces.
+ *
+ * @param {string} isir_frame
+ * @param {*} opt - {layout} award year or layout object to use instead of detection
+ * @returns {*} - {award_year, year_indicator, record_len, fields, sections};
+ *   the 2024-25 layout when no registered layout matches
+ */
+export function isir_layout_for(isir_frame, opt) {
+    let layouts = isir_layouts(), layout = opt?.layout
+    if (layout) {
+        if ('string' != typeof layout) return layout
+        if (!layouts.has(layout))
+            throw new Error(`Unknown ISIR layout award year ${JSON.stringify(layout)}`)
+        return layouts.get(layout)
+    }
+
+    let by_indicator
+    for (let each of layouts.values()) {
+        if (isir_field_read_raw(each.fields[1], isir_frame) != each.year_indicator)
+            continue
+        if (isir_frame.length == each.record_len)
+            return each
+        by_indicator ??= each
+    }
+    return by_indicator ?? layouts.get('2024-25')
+}
+
+// Analyzers reading fields by their 2024-25 index throw upon ISIRs of other registered layouts,
+// instead of silently reading the wrong offsets
+function _isir_require_2024_25(isir_frame, analyzer, opt) {
+    let {award_year} = isir_layout_for(isir_frame, opt)
+    if ('2024-25' != award_year)
+        throw new Error(`${analyzer} supports the 2024-25 ISIR layout only; found ${award_year}`)
+}
+
+
+//****************************
+// ISIR record-level (cross-field) rule logic
+//
+
+/**
+ * Declarative record-level rules spanning several fields, referenced by field index.
+ *   when: [idx, ...values] -- rule applies when field value is one of `values` (or non-blank when no values given)
+ *   require: [idx, ...] -- fields must not be blank
+ *   absent: [idx, ...] -- fields must be blank
+ *   expect: [[idx, ...values], ...] -- fields must have one of the listed values
+ */
+export const isir_record_rules = [
+    {rule: 'dependent_parent_identity', note: 'Dependent applicant requires parent identity',
+        when: [6, 'D'], require: [166, 168, 170]},
+    {rule: 'independent_no_parent_identity', note: 'Independent applicant does not provide parent identity',
+        when: [6, 'I', 'Y'], absent: [166, 168, 170, 171]},
+
+    {rule: 'married_student_spouse_identity', note: 'Married student requires student spouse identity',
+        when: [40, '2', '3'], require: [134, 136]},
+    {rule: 'unmarried_no_student_spouse_identity', note: 'Unmarried student does not provide student spouse identity',
+        when: [40, '1', '4', '5', '6'], absent: [132, 134, 136, 137]},
+    {rule: 'married_parent_spouse_identity', note: 'Married or partnered parent requires parent spouse or partner identity',
+        when: [180, '2', '3', '4'], require: [224, 226]},
+    {rule: 'unmarried_no_parent_spouse_identity', note: 'Unmarried parent does not provide parent spouse or partner identity',
+        when: [180, '1', '5', '6', '7'], absent: [222, 224, 226, 227]},
+
+    {rule: 'student_personal_circumstances_none', note: '"None of the above" excludes other student personal circumstances',
+        when: [52, '1'], absent: [44, 45, 46, 47, 48, 49, 50, 51]},
+    {rule: 'student_other_circumstances_none', note: '"None of the above" excludes other student circumstances',
+        when: [58, '1'], absent: [54, 55, 56, 57]},
+    {rule: 'student_federal_benefits_none', note: '"None of the above" excludes other student federal benefits',
+        when: [84, '1'], absent: [75, 76, 77, 78, 79, 80, 81, 82, 83]},
+    {rule: 'parent_federal_benefits_none', note: '"None of the above" excludes other parent federal benefits',
+        when: [194, '1'], absent: [185, 186, 187, 188, 189, 190, 191, 192, 193]},
+
+    {rule: 'sai_formula_dependent', note: 'SAI Formula A applies to dependent applicants',
+        when: [20, 'A'], expect: [[6, 'D', 'X']]},
+    {rule: 'sai_formula_independent', note: 'SAI Formulas B and C apply to independent applicants',
+        when: [20, 'B', 'C'], expect: [[6, 'I', 'Z', 'Y']]},
+
+    {rule: 'eligible_noncitizen_a_number', note: 'Eligible non-citizen requires A-Number',
+        when: [63, '2'], require: [64]},
+
+    {rule: 'student_signature_date', note: 'Student signature requires signature date',
+        when: [129, '1'], require: [130]},
+    {rule: 'student_spouse_signature_date', note: 'Student spouse signature requires signature date',
+        when: [163, '1'], require: [164]},
+    {rule: 'parent_signature_date', note: 'Parent signature requires signature date',
+        when: [219, '1'], require: [220]},
+    {rule: 'parent_spouse_signature_date', note: 'Parent spouse or partner signature requires signature date',
+        when: [253, '1'], require: [254]},
+    {rule: 'preparer_signature_date', note: 'Preparer signature requires signature date',
+        when: [265, '1'], require: [266]},
+]
+
+/**
+ * Evaluate record-level rules of an ISIR frame, complementing field-level {@link isir_field_validate}.
+ *
+ * Violations are reported using `mode` by field, like field-level validation.
+ * When `mode` is a Map already holding a field-level result for a field,
+ * the rule issues are appended to that result instead.
+ *
+ * @param {string} isir_frame
+ * @param {*} opt - {mode, rules}; see {@link isir_record_rules} and {@link isir_field_validate}
+ * @returns {Array} - list of rule violation results, excluding those turned off by the validation profile
+ */
+export function isir_record_validate(isir_frame, opt={}) {
+    _isir_require_2024_25(isir_frame, 'isir_record_validate', opt)
+    let {mode, rules} = opt.trim ? {mode: opt} : opt
+    if (!Array.isArray(rules)) rules = isir_record_rules
+
+    let profile
+    ;({mode, profile} = _isir_validation_mode(mode))
+
+    let violations = []
+    const _violation = (rule, idx, code) => {
+        let [issue_code] = _isir_issue_codes([code], profile, rule.note)
+        if (!issue_code) return // turned off by profile
+
+        let field = isir_record_fields[idx]
+        let raw = isir_field_read_raw(field, isir_frame)
+        violations.push({__proto__: {field, rule}, raw, value: raw.trim(),
+            invalid: 'error' == issue_code.severity && `f_${idx} rule: ${rule.rule}`,
+            issues: [issue_code.issue], issue_codes: [issue_code], severity: issue_code.severity})
+    }
+
+    for (let rule of rules) {
+        if (rule.when && !_isir_rule_match(rule.when, isir_frame))
+            continue
+
+        for (let idx of rule.require || [])
+            if (!_isir_rule_value(idx, isir_frame))
+                _violation(rule, idx, 'rule_required')
+
+        for (let idx of rule.absent || [])
+            if (_isir_rule_value(idx, isir_frame))
+                _violation(rule, idx, 'rule_not_allowed')
+
+        for (let cond of rule.expect || [])
+            if (!_isir_rule_match(cond, isir_frame))
+                _violation(rule, cond[0], 'rule_inconsistent')
+    }
+
+    for (let res of violations) {
+        if (!_isir_severity_reported(res.severity))
+            continue
+
+        let prior = mode?.get?.(res.field)
+        if (prior) {
+            prior.issues.push(... res.issues)
+            prior.issue_codes = [... prior.issue_codes ?? [], ... res.issue_codes]
+            prior.severity = _isir_issue_severity(prior.issue_codes)
+            prior.invalid ||= res.invalid
+        } else _isir_validation_failed(res, mode,
+            `ISIR record rule "${res.rule.rule}" failed for f_${res.field.idx}[${res.field.name}]`)
+    }
+    return violations
+}
+
+const _isir_rule_value = (idx, isir_frame) =>
+    isir_field_read_raw(isir_record_fields[idx], isir_frame).trim()
+
+function _isir_rule_match([idx, ...values], isir_frame) {
+    let value = _isir_rule_value(idx, isir_frame)
+    return 0 == values.length ? '' != value : values.includes(value)
+}
+
+
+//****************************
+// ISIR Student Aid Index (SAI) recomputation
+//
+
+/**
+ * 2024-25 SAI formula constants, from the 2024-25 Student Aid Index (SAI)
+ * and Pell Grant Eligibility Guide. Brackets are [upper_bound, rate] pairs.
+ */
+export const isir_sai_tables = {
+    min_sai: -1500, max_sai: 999999,
+    // 2022 tax year rates; the Additional Medicare Tax applies to combined earnings above the threshold
+    payroll_tax: {social_security: 0.062, wage_base: 147000, medicare: 0.0145,
+        additional_medicare: 0.009, additional_medicare_threshold: {single: 200000, joint: 250000, separate: 125000}},
+    employment_expense: {rate: 0.35, max: 4730},
+    // Formula A
+    parent_ipa: {2: 27600, 3: 34350, 4: 42430, 5: 50060, 6: 58560, each_additional: 6610},
+    parent_asset_rate: 0.12,
+    dependent_student_ipa: 11130,
+    dependent_student_income_rate: 0.50,
+    dependent_student_apa: 0, // no asset protection allowance for dependent students
+    dependent_student_asset_rate: 0.20,
+    // Formula B
+    independent_ipa: {single: 17310, married: 27750},
+    independent_income_rate: 0.50,
+    independent_asset_rate: 0.20,
+    // Formula C
+    independent_with_dependents_ipa: {
+        single: {2: 51960, 3: 64700, 4: 79880, 5: 94250, 6: 110230, each_additional: 12460},
+        married: {3: 54580, 4: 67400, 5: 79530, 6: 93010, each_additional: 10510}},
+    independent_with_dependents_asset_rate: 0.07,
+    // shared by Formulas A and C
+    aai_assessment: [[20600, 0.22], [25800, 0.25], [31000, 0.29], [36300, 0.34], [41500, 0.40], [Infinity, 0.47]],
+    business_farm_net_worth: [[165000, 0.40], [490000, 0.50], [815000, 0.60], [Infinity, 1.00]],
+}
+
+// financial field indexes by person; FTI-M fields are offsets from `ftim`
+const _isir_sai_persons = {
+    student: {earned: 89, tax_exempt: 90, ira: 91, ira_rollover: 92, pension: 93, pension_rollover: 94,
+        agi: 95, tax_paid: 96, ira_deductible: 98, education_credits: 99, college_grants: 102, foreign_income: 103,
+        child_support: 104, cash: 105, investments: 106, business_farm: 107, fws: 302, ftim: 862,
+        filing_status: 88, filed: {85: ['1'], 86: ['1']}},
+    student_spouse: {earned: 149, tax_exempt: 150, ira: 151, ira_rollover: 152, pension: 153, pension_rollover: 154,
+        agi: 155, tax_paid: 156, ira_deductible: 157, education_credits: 158, foreign_income: 161, fws: 303, ftim: 882,
+        filing_status: 148, filed: {146: ['1'], 147: ['1']}},
+    parent: {earned: 199, tax_exempt: 200, ira: 201, ira_rollover: 202, pension: 203, pension_rollover: 204,
+        agi: 205, tax_paid: 206, ira_deductible: 208, education_credits: 209, college_grants: 212, foreign_income: 213,
+        child_support: 214, cash: 215, investments: 216, business_farm: 217, fws: 304, ftim: 902,
+        filing_status: 198, filed: {195: ['1'], 196: ['1', '2']}},
+    parent_spouse: {earned: 239, tax_exempt: 240, ira: 241, ira_rollover: 242, pension: 243, pension_rollover: 244,
+        agi: 245, tax_paid: 246, ira_deductible: 247, education_credits: 248, foreign_income: 251, fws: 305, ftim: 922,
+        filing_status: 238, filed: {236: ['1'], 237: ['1', '2']}},
+}
+const _isir_sai_ftim_offsets = {agi: 2, earned: 5, tax_paid: 6, education_credits: 7, ira: 8, ira_deductible: 9, tax_exempt: 10, pension: 11}
+
+/**
+ * Recompute the Student Aid Index (field 18), the FPS worksheet fields (306–330) and total income
+ * (fields 944, 945) from the financial sections of an ISIR frame, using the formula selected by field 20.
+ *
+ * FTI-M values are used for a person when the IRS returned them and they apply to the person,
+ * as for {@link isir_fti_reconciliation}, otherwise the manually entered values.
+ *
+ * @param {string} isir_frame
+ * @param {*} opt - {tables} to override {@link isir_sai_tables}
+ * @returns {*} - {formula, sai, worksheet}, where worksheet maps `f_${idx}` to computed values;
+ *   `formula` is null when field 20 is blank (no SAI calculation was performed)
+ */
+export function isir_compute_sai(isir_frame, opt={}) {
+    _isir_require_2024_25(isir_frame, 'isir_compute_sai')
+    let tables = opt.tables || isir_sai_tables
+    let formula = _isir_sai_value(20, isir_frame) || null
+    let calc = {A: _isir_sai_formula_a, B: _isir_sai_formula_b, C: _isir_sai_formula_c}[formula]
+    if (!calc) return {formula, sai: null, worksheet: {}}
+
+    let ws = calc(isir_frame, tables)
+    let sai = Math.min(tables.max_sai, Math.max(tables.min_sai, ws.f_18))
+    ws.f_18 = sai
+    return {formula, sai, worksheet: ws}
+}
+
+/**
+ * Compare the FPS worksheet fields (306–330) and SAI (field 18) of an ISIR frame
+ * against values from {@link isir_compute_sai}. Blank worksheet fields are compared as zero;
+ * a blank SAI is not compared. The FPS output of the FSA test ISIRs leaves the Student Contribution
+ * from Assets (field 328) of dependent students blank, so those report field 328 and the SAI
+ * as disagreeing with the published 20% assessment.
+ *
+ * @param {string} isir_frame
+ * @param {*} opt - {all} to include agreeing fields; {tables} as for {@link isir_compute_sai}
+ * @returns {Array} - list of {field, raw, value, computed, delta} for disagreeing fields;
+ *   `formula` and `sai` of the recomputation are available on the list
+ */
+export function isir_sai_report(isir_frame, opt={}) {
+    let {formula, sai, worksheet} = isir_compute_sai(isir_frame, opt)
+    let report = Object.assign([], {formula, sai})
+    for (let [key, computed] of Object.entries(worksheet)) {
+        let field = isir_record_fields[key.slice(2)]
+        let raw = isir_field_read_raw(field, isir_frame)
+        let value = '' == raw.trim() ? null : +raw
+        if (null == value && field === isir_record_fields[18])
+            continue // SAI not provided, e.g. rejected transactions
+
+        let delta = computed - (value ?? 0)
+        if (delta || opt.all)
+            report.push({__proto__: {field}, raw, value, computed, delta})
+    }
+    return report.sort((a, b) => a.field.idx - b.field.idx)
+}
+
+
+function _isir_sai_formula_a(isir_frame, tables) {
+    let married = _isir_sai_married(isir_frame, true)
+
+    // parents' contribution
+    let parent = _isir_sai_income(isir_frame, 'parent')
+    let parent_spouse = married ? _isir_sai_income(isir_frame, 'parent_spouse') : null
+    let family_size = _isir_sai_family_size(isir_frame, true, married)
+
+    let ws = {f_945: parent.total + (parent_spouse?.total ?? 0)}
+    ws.f_307 = _isir_sai_payroll_tax(tables, parent, parent_spouse)
+    ws.f_308 = _isir_sai_by_size(tables.parent_ipa, family_size)
+    ws.f_309 = _isir_sai_employment_expense(tables, parent, parent_spouse)
+    ws.f_306 = parent.tax_paid + (parent_spouse?.tax_paid ?? 0) + ws.f_307 + ws.f_308 + ws.f_309
+    ws.f_310 = ws.f_945 - ws.f_306
+
+    ws.f_323 = _isir_sai_net_worth(isir_frame, 'parent', tables)
+    ws.f_324 = 0
+    ws.f_322 = Math.max(0, ws.f_323 - ws.f_324)
+    ws.f_325 = Math.round(ws.f_322 * tables.parent_asset_rate)
+    ws.f_311 = ws.f_310 + ws.f_325
+    ws.f_312 = Math.max(tables.min_sai, _isir_sai_assess(tables.aai_assessment, ws.f_311))
+
+    // dependent student's contribution
+    let student = _isir_sai_income(isir_frame, 'student')
+    ws.f_944 = student.total
+    ws.f_313 = _isir_sai_payroll_tax(tables, student)
+    ws.f_314 = tables.dependent_student_ipa
+    ws.f_315 = Math.max(0, -ws.f_311)
+    ws.f_317 = student.tax_paid + ws.f_313 + ws.f_314 + ws.f_315
+    ws.f_318 = ws.f_944 - ws.f_317
+    ws.f_319 = Math.max(tables.min_sai, _isir_sai_round(ws.f_318 * tables.dependent_student_income_rate))
+
+    ws.f_326 = _isir_sai_net_worth(isir_frame, 'student', tables)
+    ws.f_327 = tables.dependent_student_apa
+    ws.f_328 = Math.round(Math.max(0, ws.f_326 - ws.f_327) * tables.dependent_student_asset_rate)
+
+    ws.f_18 = ws.f_312 + ws.f_319 + ws.f_328
+    return ws
+}
+
+function _isir_sai_formula_b(isir_frame, tables) {
+    let ws = _isir_sai_independent(isir_frame, tables, false)
+    ws.f_319 = _isir_sai_round(ws.f_318 * tables.independent_income_rate)
+    ws.f_328 = Math.round(Math.max(0, ws.f_326 - ws.f_327) * tables.independent_asset_rate)
+    ws.f_18 = ws.f_319 + ws.f_328
+    return ws
+}
+
+function _isir_sai_formula_c(isir_frame, tables) {
+    let ws = _isir_sai_independent(isir_frame, tables, true)
+    ws.f_328 = Math.round(Math.max(0, ws.f_326 - ws.f_327) * tables.independent_with_dependents_asset_rate)
+    ws.f_320 = ws.f_318 + ws.f_328
+    ws.f_321 = Math.max(tables.min_sai, _isir_sai_assess(tables.aai_assessment, ws.f_320))
+    ws.f_18 = ws.f_321
+    return ws
+}
+
+function _isir_sai_independent(isir_frame, tables, with_dependents) {
+    let married = _isir_sai_married(isir_frame, false)
+
+    let student = _isir_sai_income(isir_frame, 'student')
+    let student_spouse = married ? _isir_sai_income(isir_frame, 'student_spouse') : null
+    let family_size = _isir_sai_family_size(isir_frame, false, married)
+
+    let ws = {f_944: student.total + (student_spouse?.total ?? 0)}
+    ws.f_313 = _isir_sai_payroll_tax(tables, student, student_spouse)
+    let marital = married ? 'married' : 'single'
+    ws.f_314 = with_dependents
+        ? _isir_sai_by_size(tables.independent_with_dependents_ipa[marital], family_size)
+        : tables.independent_ipa[marital]
+    ws.f_316 = (with_dependents || married)
+        ? _isir_sai_employment_expense(tables, student, student_spouse) : 0
+    ws.f_317 = student.tax_paid + (student_spouse?.tax_paid ?? 0) + ws.f_313 + ws.f_314 + ws.f_316
+    ws.f_318 = ws.f_944 - ws.f_317
+
+    ws.f_326 = _isir_sai_net_worth(isir_frame, 'student', tables)
+    ws.f_327 = 0
+    return ws
+}
+
+
+/**
+ * Income of one person; uses FTI-M values when they apply to the person (see `_isir_fti_source`),
+ * otherwise manually entered values.
+ * `total` follows the SAI guide: AGI plus untaxed income, less additional financial information.
+ */
+function _isir_sai_income(isir_frame, person) {
+    let p = _isir_sai_persons[person]
+    const v = idx => (null == idx ? null : _isir_sai_num(idx, isir_frame))
+
+    let inc = {}
+    if ('fti' == _isir_fti_source(isir_frame, person).source) {
+        for (let [key, offset] of Object.entries(_isir_sai_ftim_offsets))
+            inc[key] = v(p.ftim + offset) ?? 0
+        inc.filing_status = _isir_sai_value(p.ftim + 1, isir_frame)
+        inc.earned_known = inc.filed = true
+    } else {
+        for (let key in _isir_sai_ftim_offsets)
+            inc[key] = v(p[key]) ?? 0
+        inc.filing_status = _isir_sai_value(p.filing_status, isir_frame)
+        inc.earned_known = null != v(p.earned)
+        inc.filed = Object.entries(p.filed).some(([idx, values]) =>
+            values.includes(_isir_sai_value(idx, isir_frame)))
+    }
+    // rollovers are only reported on the FAFSA
+    inc.ira -= v(p.ira_rollover) ?? 0
+    inc.pension -= v(p.pension_rollover) ?? 0
+
+    // the foreign earned income exclusion is added back whatever its sign
+    inc.total = inc.agi + inc.ira_deductible + inc.tax_exempt + inc.ira + inc.pension + Math.abs(v(p.foreign_income) ?? 0)
+        - (v(p.college_grants) ?? 0) - inc.education_credits - (v(p.fws) ?? 0)
+    return inc
+}
+
+/** Parents' marital status for dependent students, otherwise the student's */
+const _isir_sai_married = (isir_frame, dependent) => dependent
+    ? ['2', '3', '4'].includes(_isir_sai_value(180, isir_frame))
+    : ['2', '3'].includes(_isir_sai_value(40, isir_frame))
+
+/** Family size as reported, as assumed by FPS, or from the FTI-M tax returns */
+function _isir_sai_family_size(isir_frame, dependent, married) {
+    const v = idx => _isir_sai_num(idx, isir_frame)
+    return dependent
+        ? v(183) || v(330) || _isir_sai_exemptions(isir_frame, 'parent', married) || (married ? 3 : 2)
+        : v(61) || v(329) || _isir_sai_exemptions(isir_frame, 'student', married) || (married ? 2 : 1)
+}
+
+/** Family size from the number of exemptions on the FTI-M tax returns */
+function _isir_sai_exemptions(isir_frame, person, married) {
+    let exemptions = [person, married ? `${person}_spouse` : null].map(each =>
+        each && _isir_sai_num(_isir_sai_persons[each].ftim + 3, isir_frame))
+    return exemptions[0] + exemptions[1]
+}
+
+function _isir_sai_net_worth(isir_frame, person, tables) {
+    let p = _isir_sai_persons[person]
+    const v = idx => _isir_sai_num(idx, isir_frame) ?? 0
+    let business_farm = _isir_sai_assess(tables.business_farm_net_worth, Math.max(0, v(p.business_farm)))
+    return v(p.child_support) + v(p.cash) + v(p.investments) + business_farm
+}
+
+function _isir_sai_payroll_tax(tables, p_first, p_second) {
+    let {social_security, wage_base, medicare, additional_medicare, additional_medicare_threshold} = tables.payroll_tax
+    // a joint return of a married couple without separate amounts spans two wage bases
+    if (p_second && !p_second.earned_known) wage_base *= 2
+
+    // each tax is rounded once on the combined earnings
+    let earned = [p_first, p_second].map(p => Math.max(0, p?.earned || 0))
+    let social_security_earned = earned.reduce((total, each) => total + Math.min(each, wage_base), 0)
+    let medicare_earned = earned[0] + earned[1]
+    // by the filing status of the tax return; a couple without one is treated as filing jointly
+    let filing_status = p_first.filing_status || (p_second ? '2' : '1')
+    let threshold = additional_medicare_threshold[{2: 'joint', 3: 'separate'}[filing_status] ?? 'single']
+    return Math.round(social_security * social_security_earned)
+        + Math.round(medicare * medicare_earned + additional_medicare * Math.max(0, medicare_earned - threshold))
+}
+
+function _isir_sai_employment_expense(tables, p_first, p_second) {
+    // FPS applies the rate to the combined earnings of both earners
+    let earned = [p_first, p_second].filter(p => p?.earned_known).reduce((total, p) => total + p.earned, 0)
+    return Math.round(Math.min(tables.employment_expense.max, tables.employment_expense.rate * Math.max(0, earned)))
+}
+
+function _isir_sai_by_size(table, family_size) {
+    let sizes = Object.keys(table).filter(k => !isNaN(k)).map(Number)
+    let largest = Math.max(... sizes), size = Math.max(Math.min(... sizes), family_size)
+    return size > largest
+        ? table[largest] + (size - largest) * table.each_additional
+        : table[size]
+}
+
+/** Apply a marginal rate schedule, rounded to whole dollars; amounts below zero use the first rate */
+function _isir_sai_assess(schedule, amount) {
+    let total = 0, lower = 0
+    for (let [upper, rate] of schedule) {
+        if (amount <= upper)
+            return _isir_sai_round(total + rate * (amount - lower))
+        total += rate * (upper - lower)
+        lower = upper
+    }
+    return _isir_sai_round(total)
+}
+
+/** Round to whole dollars, halves away from zero */
+const _isir_sai_round = amount => Math.sign(amount) * Math.round(Math.abs(amount))
+
+const _isir_sai_value = (idx, isir_frame) =>
+    isir_field_read_raw(isir_record_fields[idx], isir_frame).trim()
+
+function _isir_sai_num(idx, isir_frame) {
+    let sz = _isir_sai_value(idx, isir_frame)
+    return '' == sz || isNaN(sz) ? null : +sz
+}
+
+
+//****************************
+// ISIR Pell Grant eligibility
+//
+
+/**
+ * Award year 2024–25 Federal Pell Grant parameters. Poverty guidelines are
+ * `[first person, each additional person]` for the prior-prior year by state;
+ * fpl percentages are multiples of the poverty line.
+ */
+export const isir_pell_tables = {
+    max_pell: 7395,
+    min_pell: 740,
+    poverty_guidelines: {default: [14580, 5140], AK: [18210, 6430], HI: [16770, 5910]},
+    max_pell_fpl: {single_parent: 2.25, other: 1.75},
+    min_pell_fpl: {
+        dependent: {single_parent: 3.25, other: 2.75},
+        independent: {single_parent: 4.00, parent: 3.50, other: 2.75},
+    },
+}
+
+/**
+ * Determine Pell Grant eligibility and scheduled award of an ISIR frame
+ * from family size, state of legal residence, adjusted gross income, and SAI.
+ *
+ * Max Pell applies to nonfilers and to families with AGI at or below the poverty line
+ * percentages of `max_pell_fpl`; otherwise the award is `max_pell` less the SAI.
+ * Awards below `min_pell` are raised to `min_pell` when a Minimum Pell Indicator applies,
+ * and are zero otherwise.
+ *
+ * @param {string} isir_frame
+ * @param {*} opt - {sai} to override field 18; {tables} to override {@link isir_pell_tables} and {@link isir_sai_tables}
+ * @returns {*} - {dependent, married, single_parent, family_size, agi, poverty_line,
+ *   max_pell_indicator, min_pell_indicator, sai, scheduled_award, eligible};
+ *   indicators are field 22 and 23 codes, or '' when not applicable
+ */
+export function isir_compute_pell(isir_frame, opt={}) {
+    _isir_require_2024_25(isir_frame, 'isir_compute_pell')
+    let tables = {...isir_pell_tables, ...opt.tables}
+    let dependent = ['D', 'X'].includes(_isir_sai_value(6, isir_frame))
+    let married = _isir_sai_married(isir_frame, dependent)
+    let family_size = _isir_sai_family_size(isir_frame, dependent, married)
+
+    // single parent: unmarried contributor supporting others; is_parent applies to independent students
+    let has_dependents = '1' == _isir_sai_value(46, isir_frame)
+    let single_parent = !married && (dependent ? family_size > 1 : has_dependents)
+    let is_parent = has_dependents || family_size > (married ? 2 : 1)
+
+    let [first, second] = dependent ? ['parent', 'parent_spouse'] : ['student', 'student_spouse']
+    let contributors = [_isir_sai_income(isir_frame, first)]
+    if (married) contributors.push(_isir_sai_income(isir_frame, second))
+    let agi = contributors.reduce((total, inc) => total + inc.agi, 0)
+
+    let state = _isir_sai_value(dependent ? 181 : 65, isir_frame)
+    let [base, each_additional] = tables.poverty_guidelines[state] || tables.poverty_guidelines.default
+    let poverty_line = base + each_additional * (family_size - 1)
+    const within = pct => agi <= poverty_line * pct
+
+    // indicators are only determined when an SAI was calculated
+    let sai = opt.sai ?? _isir_sai_num(18, isir_frame)
+    let max_pell_indicator = '', min_pell_indicator = ''
+    if (null != sai) {
+        if (!contributors.some(inc => inc.filed))
+            max_pell_indicator = '1'
+        else if (single_parent)
+            max_pell_indicator = within(tables.max_pell_fpl.single_parent) ? '2' : ''
+        else if (within(tables.max_pell_fpl.other))
+            max_pell_indicator = '3'
+
+        // Minimum Pell applies when the SAI would otherwise reduce the award below minimum
+        let {dependent: fpl_dep, independent: fpl_indep} = tables.min_pell_fpl
+        if (!max_pell_indicator && tables.max_pell - sai < tables.min_pell)
+            min_pell_indicator = dependent
+                ? (single_parent ? within(fpl_dep.single_parent) && '1' : within(fpl_dep.other) && '2')
+                : single_parent ? within(fpl_indep.single_parent) && '3'
+                : is_parent ? within(fpl_indep.parent) && '4'
+                : within(fpl_indep.other) && '5'
+        min_pell_indicator ||= ''
+    }
+
+    let eligible = null != sai && (
+        '1' == _isir_sai_value(43, isir_frame) // pursuing teacher certification
+        || !('Y' == _isir_sai_value(570, isir_frame) // graduate student
+            || '1' == _isir_sai_value(42, isir_frame))) // or first bachelor's degree completed
+
+    let scheduled_award = 0
+    if (eligible) {
+        scheduled_award = max_pell_indicator ? tables.max_pell
+            : Math.min(tables.max_pell, tables.max_pell - sai)
+        if (scheduled_award < tables.min_pell)
+            scheduled_award = min_pell_indicator ? tables.min_pell : 0
+        eligible = scheduled_award > 0
+    }
+
+    return {dependent, married, single_parent, family_size, agi, poverty_line,
+        max_pell_indicator, min_pell_indicator, sai, scheduled_award, eligible}
+}
+
+/**
+ * Compare the Max Pell Indicator (field 22), Minimum Pell Indicator (field 23),
+ * and Pell Grant Eligibility Flag (field 571) of an ISIR frame against {@link isir_compute_pell}.
+ *
+ * @param {string} isir_frame
+ * @param {*} opt - {all} to include agreeing fields; {sai, tables} as for {@link isir_compute_pell}
+ * @returns {Array} - list of {field, raw, value, computed} for disagreeing fields;
+ *   the full computation is available on the list as `pell`
+ */
+export function isir_pell_report(isir_frame, opt={}) {
+    let pell = isir_compute_pell(isir_frame, opt)
+    let report = Object.assign([], {pell})
+    let computed_by_idx = {
+        22: pell.max_pell_indicator,
+        23: pell.min_pell_indicator,
+        571: pell.eligible ? 'Y' : '',
+    }
+    for (let [idx, computed] of Object.entries(computed_by_idx)) {
+        let field = isir_record_fields[idx]
+        let raw = isir_field_read_raw(field, isir_frame)
+        let value = raw.trim()
+        if (value != computed || opt.all)
+            report.push({__proto__: {field}, raw, value, computed})
+    }
+    return report
+}
+
+
+//****************************
+// ISIR federal tax information (FTI) reconciliation
+//
+
+/**
+ * 2024-25 IRS response codes of the FTI-M sections (fields 881, 901, 921, and 941).
+ * `fti` is true when the FTI-M values of the person were returned by the IRS and can be used in place of
+ * manually entered values.
+ */
+export const isir_irs_response_codes = {
+    '200': {fti: true, text: 'The IRS returned federal tax information for the person.'},
+    '203': {fti: false, text: 'The name, SSN, or date of birth did not match IRS records, so no federal tax information was returned. Manually entered values are used.'},
+    '206': {fti: false, text: 'The IRS returned only part of the requested content, so federal tax information is incomplete. Manually entered values are used.'},
+    '212': {fti: false, text: 'The IRS could not verify the tax return data, such as for a return under review, so no federal tax information was returned. Manually entered values are used.'},
+    '214': {fti: false, text: 'The IRS has no tax return on file for the tax year. Manually entered values are used, and the person is a non-filer unless they report filing a return.'},
+}
+
+/**
+ * Reconcile the manually entered financial sections of each person against their FTI-M sections (fields 860–943),
+ * pairing filing status, AGI, income earned, taxes paid, and untaxed income values, and flagging disagreements.
+ * Interprets the IRS response code using {@link isir_irs_response_codes} and checks the returned tax year against
+ * the tax year of the award year (2022 for 2024-25), to indicate which source the SAI should have used.
+ * Manually entered values are used when field 581 Use User Provided Data Only is True.
+ *
+ * Persons without any paired value, IRS response code, or returned tax year are left out.
+ *
+ * @param {string} isir_frame
+ * @returns {*} - {tax_year, user_provided_data_only, persons}, where `persons` lists
+ *   {person, source, reason, returned_tax_year, response, items, disagreements} by person
+ *   (`student`, `student_spouse`, `parent`, `parent_spouse`); `source` is 'fti' or 'manual';
+ *   `response` is {code, label, text, fti} or null; `items` lists {element, name, manual, fti, agree} with
+ *   `manual` and `fti` as {field, value}, and `agree` null when either value is blank;
+ *   `disagreements` counts items that do not agree
+ */
+export function isir_fti_reconciliation(isir_frame) {
+    _isir_require_2024_25(isir_frame, 'isir_fti_reconciliation')
+    const read = (idx, kind) => _isir_nslds_value(isir_record_fields[idx], isir_frame, kind)
+    let tax_year = _isir_fti_tax_year(isir_frame)
+    let user_provided_data_only = 'True' == _isir_sai_value(581, isir_frame)
+
+    let persons = []
+    for (let [person, p] of Object.entries(_isir_fti_persons)) {
+        let items = []
+        for (let [element, offset] of Object.entries(_isir_fti_offsets)) {
+            let kind = 'filing_status' == element ? 'code' : 'number'
+            let manual = {field: p[element], value: read(p[element], kind)}
+            let fti = {field: p.ftim + offset, value: read(p.ftim + offset, kind)}
+            if (null == manual.value && null == fti.value)
+                continue
+
+            let agree = null == manual.value || null == fti.value ? null
+                : 'code' == kind ? manual.value.code == fti.value.code
+                : manual.value == fti.value
+            items.push({element, name: isir_record_fields[p[element]].name, manual, fti, agree})
+        }
+
+        let {source, reason, returned_tax_year, response} = _isir_fti_source(isir_frame, person)
+        if (!items.length && !response && null == returned_tax_year)
+            continue
+
+        persons.push({person, source, reason, returned_tax_year, response, items,
+            disagreements: items.filter(e => false === e.agree).length})
+    }
+    return {tax_year, user_provided_data_only, persons}
+}
+
+/**
+ * Source of the financial values of a person (`student`, `student_spouse`, `parent`, `parent_spouse`):
+ * 'fti' when the IRS returned federal tax information for the tax year of the award year,
+ * field 581 Use User Provided Data Only is not True, and a joint return was filed with the current spouse
+ * (fields 87 and 197, and the filing status of the spouse); otherwise 'manual'.
+ */
+function _isir_fti_source(isir_frame, person) {
+    const read = (idx, kind) => _isir_nslds_value(isir_record_fields[idx], isir_frame, kind)
+    let ftim = _isir_sai_persons[person].ftim, parent = person.startsWith('parent')
+    let tax_year = _isir_fti_tax_year(isir_frame)
+    let spouse = _isir_sai_persons[_isir_fti_spouses[person]]
+    let spouse_filing_status = _isir_sai_value(spouse.ftim + 1, isir_frame) || _isir_sai_value(spouse.filing_status, isir_frame)
+    let joint_with_spouse = _isir_sai_married(isir_frame, parent)
+        && '2' != _isir_sai_value(parent ? 197 : 87, isir_frame) && ['', '2'].includes(spouse_filing_status)
+    let returned_tax_year = read(ftim, 'number')
+    let response = read(ftim + 19, 'code')
+    if (response)
+        response = {... response, text: null, fti: false, ... isir_irs_response_codes[response.code]}
+
+    let source = 'manual', reason
+    if ('True' == _isir_sai_value(581, isir_frame))
+        reason = 'Use User Provided Data Only (field 581) is True'
+    else if (!response)
+        reason = 'No IRS response code; federal tax information was not requested'
+    else if (!response.fti)
+        reason = `IRS response code ${response.code}: ${response.label ?? 'not in catalog'}`
+    else if (returned_tax_year != tax_year)
+        reason = `Returned tax year ${returned_tax_year ?? '(blank)'} is not the ${tax_year} tax year of the award year`
+    else if ('2' == _isir_sai_value(ftim + 1, isir_frame) && !joint_with_spouse)
+        reason = 'Joint tax return not filed with the current spouse; manually entered values report their own share'
+    else [source, reason] = ['fti', `IRS response code ${response.code}: ${response.label}`]
+    return {source, reason, returned_tax_year, response}
+}
+
+const _isir_fti_spouses = {student: 'student_spouse', student_spouse: 'student', parent: 'parent_spouse', parent_spouse: 'parent'}
+
+const _isir_fti_tax_year = isir_frame =>
+    +isir_layout_for(isir_frame).award_year.slice(0, 4) - 2
+
+// FTI-M field offsets from `ftim` of each person, by data element
+const _isir_fti_offsets = {filing_status: 1, ... _isir_sai_ftim_offsets, schedule_c: 12}
+
+// manually entered fields of each person, extending `_isir_sai_persons` with Schedule C
+const _isir_fti_persons = {
+    student: {... _isir_sai_persons.student, schedule_c: 101},
+    student_spouse: {... _isir_sai_persons.student_spouse, schedule_c: 160},
+    parent: {... _isir_sai_persons.parent, schedule_c: 211},
+    parent_spouse: {... _isir_sai_persons.parent_spouse, schedule_c: 250},
+}
+
+
+//****************************
+// ISIR NSLDS financial aid history
+//
+
+/**
+ * Summarize the NSLDS financial aid history of an ISIR frame (fields 583 to 857) as typed values:
+ * amounts as numbers, dates as `YYYY-MM-DD`, Pell percentages as percent numbers (e.g. 550 for 550%),
+ * and coded flags as `{code, label}` using the field options; blank and `N/A` values are null.
+ *
+ * Pell Grant, TEACH Grant, and loan detail blocks with any content are listed in field order,
+ * each with its `program` (`pell_grant`, `teach_grant`, or `loan`) and `date` (last disbursement date, or loan disbursement or period begin date),
+ * and combined by date into `timeline`. Remaining Pell lifetime eligibility is 600% less field 638.
+ *
+ * @param {string} isir_frame
+ * @returns {*} - {flags, changed, overpayments, loan_limits, aggregate, pell, teach, loans, timeline};
+ *   `pell` is {lifetime_limit, lifetime_eligibility_used, lifetime_eligibility_remaining, awards},
+ *   and `teach` is {awards}
+ */
+export function isir_nslds_summary(isir_frame) {
+    _isir_require_2024_25(isir_frame, 'isir_nslds_summary')
+    const read = (idx, kind) => _isir_nslds_value(isir_record_fields[idx], isir_frame, kind)
+    const read_each = (idx_by_key, kind) =>
+        Object.fromEntries(Object.entries(idx_by_key).map(([key, idx]) => [key, read(idx, kind)]))
+
+    let flags = read_each(_isir_nslds_flags, 'code')
+    let sula_used = read(640, 'number') // 999v999 format
+    let loan_limits = {... read_each(_isir_nslds_loan_limits, 'code'),
+        subsidized_limit_eligibility_used: null == sula_used ? null : sula_used / 1000}
+
+    // change flags (fields 616 to 626) are '#' when changed since the last transaction
+    let changed = []
+    for (let idx=616; idx <= 626; idx++)
+        if ('#' == read(idx, 'text'))
+            changed.push(isir_record_fields[idx].name.replace(/^NSLDS | Change Flag$/g, ''))
+
+    let overpayments = Object.entries(_isir_nslds_overpayments).map(([program, [idx_flag, idx_contact]]) =>
+        ({program, flag: read(idx_flag, 'code'), contact: read(idx_contact, 'text')}))
+
+    let aggregate = {}
+    for (let idx=599; idx <= 615; idx++) {
+        let field = isir_record_fields[idx]
+        aggregate[field.path.filter(key => 'aggregate' != key).join('_').toLowerCase()] = read(idx, 'number')
+    }
+
+    let used = read(638, 'percent')
+    let pell = {
+        lifetime_limit: read(637, 'code'),
+        lifetime_eligibility_used: used,
+        lifetime_eligibility_remaining: null == used ? null : Math.max(0, Math.round((600 - used) * 1000) / 1000),
+        awards: _isir_nslds_blocks_read('pell_grant', isir_frame),
+    }
+    let teach = {awards: _isir_nslds_blocks_read('teach_grant', isir_frame)}
+    let loans = _isir_nslds_blocks_read('loan', isir_frame)
+
+    let timeline = [... pell.awards, ... teach.awards, ... loans]
+        .filter(rec => rec.date)
+        .sort((a, b) => a.date < b.date ? -1 : a.date > b.date ? 1 : 0)
+
+    return {flags, changed, overpayments, loan_limits, aggregate, pell, teach, loans, timeline}
+}
+
+const _isir_nslds_flags = {
+    defaulted_loan: 593, discharged_loan: 594, fraud_loan: 595, satisfactory_arrangements: 596,
+    active_bankruptcy: 597, teach_grant_converted_to_loan: 598,
+    additional_pell: 627, additional_loans: 628, additional_teach_grant: 629,
+    direct_loan_mpn: 630, direct_loan_plus_mpn: 631, direct_loan_graduate_plus_mpn: 632,
+    subsidized_usage_limit_applies: 639, unusual_enrollment_history: 641,
+}
+const _isir_nslds_loan_limits = {
+    undergraduate_subsidized: 633, undergraduate_combined: 634,
+    graduate_subsidized: 635, graduate_combined: 636,
+}
+// overpayment flag and contact fields by program
+const _isir_nslds_overpayments = {
+    pell_grant: [583, 584], fseog: [585, 586], perkins: [587, 588],
+    teach_grant: [589, 590], iraq_afghanistan_service_grant: [591, 592],
+}
+
+// Repeated detail blocks: first field, count, fields per block (including filler), and value kinds in field order
+const _isir_nslds_blocks = {
+    pell_grant: {first: 643, count: 3, stride: 12, date: 'last_disbursement_date', entries: {
+        sequence: 'number', verification_flag: 'text', sai: 'number', school_code: 'text',
+        transaction_number: 'text', last_disbursement_date: 'date', scheduled_amount: 'number',
+        amount_paid_to_date: 'number', percent_eligibility_used: 'percent', award_amount: 'number',
+        additional_eligibility: 'code'}},
+    teach_grant: {first: 679, count: 3, stride: 14, date: 'last_disbursement_date', entries: {
+        sequence: 'number', school_code: 'text', transaction_number: 'text', last_disbursement_date: 'date',
+        scheduled_amount: 'number', amount_paid_to_date: 'number', award_amount: 'number',
+        academic_year_level: 'text', award_year: 'text', loan_conversion: 'code', discharge_code: 'code',
+        discharge_amount: 'number', adjusted_disbursement: 'number'}},
+    loan: {first: 721, count: 6, stride: 23, date: ['disbursement_date', 'period_begin_date'], entries: {
+        sequence: 'number', defaulted_recent: 'code', change_flag: 'code', type_code: 'text',
+        net_amount: 'number', current_status_code: 'text', current_status_date: 'date',
+        outstanding_principal_balance: 'number', outstanding_principal_balance_date: 'date',
+        period_begin_date: 'date', period_end_date: 'date', guaranty_agency_code: 'text',
+        contact_type: 'code', school_code: 'text', contact_code: 'text', grade_level: 'text',
+        additional_unsubsidized: 'code', capitalized_interest: 'code', disbursement_amount: 'number',
+        disbursement_date: 'date', confirmed_loan_subsidy_status: 'code', confirmed_loan_subsidy_status_date: 'date'}},
+}
+
+function _isir_nslds_blocks_read(program, isir_frame) {
+    let {first, count, stride, date, entries} = _isir_nslds_blocks[program]
+    let awards = []
+    for (let block=0; block < count; block++) {
+        let rec = {}
+        Object.entries(entries).forEach(([key, kind], offset) =>
+            rec[key] = _isir_nslds_value(isir_record_fields[first + block*stride + offset], isir_frame, kind))
+
+        if (Object.values(rec).some(value => null != value))
+            awards.push({program, date: [date].flat().map(key => rec[key]).find(Boolean) ?? null, ... rec})
+    }
+    return awards
+}
+
+function _isir_nslds_value(field, isir_frame, kind) {
+    let sz = isir_field_read_raw(field, isir_frame).trim()
+    if ('' == sz || 'N/A' == sz)
+        return null
+    switch (kind) {
+        case 'code':
+            return {code: sz, label: _isir_field_enum_options(field).find(([code]) => code == sz)?.[1] ?? null}
+        case 'number':
+            return isNaN(sz) ? null : +sz
+        case 'percent': // 99v99999 fraction, as in field 638
+            return isNaN(sz) ? null : +sz / 1000
+        case 'date':
+            return _check_date(sz)?.result ?? null
+        default:
+            return sz
+    }
+}
+
+
+//****************************
+// ISIR aid-eligibility blockers
+//
+
+/**
+ * Declarative aid-eligibility blockers from NSLDS, DHS, SSA, and Department of Justice match flags,
+ * referenced by field index and listed by priority.
+ *   severity: 'hold' -- aid cannot be disbursed until resolved; 'review' -- the school must review
+ *   when: [idx, ...values] -- blocker applies when field value is one of `values`
+ *   unless: [[idx, ...values], ...] -- blocker does not apply when any condition matches (non-blank when no values given)
+ *   fields: [idx, ...] -- related fields reported along with the triggering field
+ */
+export const isir_eligibility_blocker_rules = [
+    {blocker: 'fraud_loan', severity: 'hold', note: 'Student has a federal student loan obtained by fraud',
+        when: [595, 'Y']},
+    {blocker: 'defaulted_loan', severity: 'hold', note: 'Student has a defaulted federal student loan without satisfactory repayment arrangements',
+        when: [593, 'Y'], unless: [[596, 'Y']]},
+
+    {blocker: 'pell_grant_overpayment', severity: 'hold', note: 'Student owes a Pell Grant overpayment',
+        when: [583, 'Y', 'F'], fields: [584]},
+    {blocker: 'fseog_overpayment', severity: 'hold', note: 'Student owes an FSEOG overpayment',
+        when: [585, 'Y', 'F'], fields: [586]},
+    {blocker: 'perkins_overpayment', severity: 'hold', note: 'Student owes a Perkins Loan overpayment',
+        when: [587, 'Y', 'F'], fields: [588]},
+    {blocker: 'teach_grant_overpayment', severity: 'hold', note: 'Student owes a TEACH Grant overpayment',
+        when: [589, 'Y', 'F'], fields: [590]},
+    {blocker: 'iraq_afghanistan_service_grant_overpayment', severity: 'hold', note: 'Student owes an Iraq and Afghanistan Service Grant overpayment',
+        when: [591, 'Y', 'F'], fields: [592]},
+
+    {blocker: 'drug_abuse_hold', severity: 'hold', note: 'Record placed on hold by the Department of Justice',
+        when: [569, 'J']},
+
+    {blocker: 'dhs_secondary_not_confirmed', severity: 'hold', note: 'DHS secondary verification did not confirm eligible noncitizen status',
+        when: [558, 'N'], fields: [557, 559]},
+    {blocker: 'dhs_secondary_pending', severity: 'hold', note: 'DHS secondary verification of eligible noncitizen status is pending',
+        when: [558, 'P'], fields: [557, 559]},
+    {blocker: 'dhs_primary_not_confirmed', severity: 'hold', note: 'DHS primary match did not confirm eligible noncitizen status; secondary verification is required',
+        when: [557, 'N', 'P', 'D', 'I'], unless: [[558]], fields: [64]},
+    {blocker: 'ssa_citizenship_conflict', severity: 'hold', note: 'Student reports U.S. citizenship, but SSA reports a noncitizen status',
+        when: [562, 'B', 'C', 'D', 'E', 'F', '*'], unless: [[63, '2', '3']], fields: [63]},
+
+    {blocker: 'unusual_enrollment_history', severity: 'hold', note: 'Questionable enrollment pattern; school must resolve',
+        when: [641, '3']},
+    {blocker: 'unusual_enrollment_history_possible', severity: 'review', note: 'Possible enrollment pattern problem; school may need to resolve',
+        when: [641, '2']},
+    {blocker: 'ssa_citizenship_not_confirmed', severity: 'review', note: 'SSA could not confirm citizenship due to no match on SSN, name, or date of birth',
+        when: [562, 'N'], fields: [63, 563]},
+    {blocker: 'incarcerated_applicant', severity: 'review', note: 'Applicant is flagged as incarcerated; eligibility is limited to Pell Grants for approved prison education programs',
+        when: [298, '1', '2', '3']},
+]
+
+/**
+ * Evaluate the aid-eligibility blockers of an ISIR frame, such as defaulted loans, overpayments,
+ * and unconfirmed citizenship, as holds that block disbursement or items for the school to review.
+ *
+ * @param {string} isir_frame
+ * @param {*} opt - {rules} to use instead of {@link isir_eligibility_blocker_rules}
+ * @returns {Array} - prioritized list of {blocker, severity, note, fields}, holds before reviews;
+ *   `fields` lists {field, name, value, label} of the triggering field followed by related fields
+ */
+export function isir_eligibility_blockers(isir_frame, opt={}) {
+    _isir_require_2024_25(isir_frame, 'isir_eligibility_blockers')
+    let rules = Array.isArray(opt.rules) ? opt.rules : isir_eligibility_blocker_rules
+
+    let blockers = []
+    for (let rule of rules) {
+        if (!_isir_rule_match(rule.when, isir_frame)
+            || (rule.unless ?? []).some(cond => _isir_rule_match(cond, isir_frame)))
+            continue
+
+        let fields = [rule.when[0], ... rule.fields ?? []].map(idx => {
+            let field = isir_record_fields[idx], value = _isir_rule_value(idx, isir_frame)
+            let [, label=null] = _isir_field_enum_options(field).find(([code]) => code == value) ?? []
+            return {field: idx, name: field.name, value, label}
+        })
+        blockers.push({__proto__: {rule}, blocker: rule.blocker, severity: rule.severity, note: rule.note, fields})
+    }
+
+    // stable sort keeps the priority order of rules within each severity
+    return blockers.sort((a, b) => _isir_blocker_severities.indexOf(a.severity) - _isir_blocker_severities.indexOf(b.severity))
+}
+
+const _isir_blocker_severities = ['hold', 'review']
+
+
+//****************************
+// ISIR SAIG envelope (header and trailer records)
+//
+// Per _section 3.4_ of [Student Aid Internet Gateway (FTI-SAIG) TDClient Host Communication Guide](https://fsapartners.ed.gov/sites/default/files/2023-11/FTISAIGTDClientHostCommunicationsGuide.pdf)
+//   e.g. `O*N05TG99999       ,CLS=IDAP25OP,XXX,BAT=,` header and
+//        `O*N95TG99999       ,CLS=IDAP25OP,XXX,BAT=,      100` trailer with record count
+//
+
+const _rx_saig_envelope = /^(?<code>[A-Z\*][0-9A-Z\*]{4})(?<mailbox>[0-9A-Z\*]*)\s*,CLS=(?<message_class>[^,\s]*)(?:,(?<xxx>[^,]*),BAT=(?<batch>[^,\s]*),?\s*(?<count>\d*))?.*$/
+const _saig_kind_by_code = {__proto__: null, 'O*N05': 'header', 'O*N95': 'trailer'}
+
+/**
+ * Parse a SAIG header or trailer line
+ * @param {string} line
+ * @returns {*} - {kind: 'header'|'trailer'|'other', mailbox, message_class, batch, count} or null when not a SAIG line;
+ *   `count` is the trailer record count, or null when blank
+ */
+export function isir_saig_parse(line) {
+    let m = _rx_saig_envelope.exec(line)
+    if (!m) return null
+
+    let {code, mailbox, message_class, batch, count} = m.groups
+    return {__proto__: {line}, kind: _saig_kind_by_code[code] || 'other',
+        mailbox, message_class, batch: batch || '', count: count ? +count : null}
+}
+
+/**
+ * Write a SAIG header line, padded to the ISIR record length
+ * @param {*} opt - {mailbox} destination TG or FT mailbox; {message_class} e.g. IDSA25OP, IDAP25OP, IGFT25OP; {batch}
+ * @returns {string}
+ */
+export function isir_saig_header(opt) {
+    return _isir_saig_line('O*N05', opt, '')
+}
+
+/**
+ * Write a SAIG trailer line with record count, padded to the ISIR record length
+ * @param {*} opt - as for {@link isir_saig_header}, and {count} of ISIR records in the batch
+ * @returns {string}
+ */
+export function isir_saig_trailer(opt) {
+    return _isir_saig_line('O*N95', opt, null == opt.count ? '' : `${opt.count}`.padStart(9, ' '))
+}
+
+/**
+ * Wrap ISIR frames with a SAIG header and a trailer holding the count of frames
+ * @param {string[]} isir_frames
+ * @param {*} opt - as for {@link isir_saig_header}; {trailer: false} to omit the trailer
+ * @returns {string[]} - lines of header, ISIR frames, and trailer
+ */
+export function isir_saig_envelope(isir_frames, opt={}) {
+    isir_frames = 'string' === typeof isir_frames ? [isir_frames] : [... isir_frames]
+    let lines = [isir_saig_header(opt), ... isir_frames]
+    if (false !== opt.trailer)
+        lines.push(isir_saig_trailer({... opt, count: isir_frames.length}))
+    return lines
+}
+
+// Issue of a non-standard SAIG mailbox or message class, if any
+function _isir_saig_issue({mailbox, message_class}) {
+    if (!/^(TG|FT)[0-9A-Z]{5}$/.test(mailbox))
+        return `Invalid SAIG mailbox ${JSON.stringify(mailbox)}; expected TG or FT followed by 5 characters`
+    if (!/^[0-9A-Z]{8}$/.test(message_class))
+        return `Invalid SAIG message class ${JSON.stringify(message_class)}`
+}
+
+function _isir_saig_line(code, {mailbox, message_class, batch=''}, count) {
+    let issue = _isir_saig_issue({mailbox, message_class})
+    if (issue) throw new Error(issue)
+
+    return `${code}${mailbox.padEnd(14, ' ')},CLS=${message_class},XXX,BAT=${batch},${count}`
+        .padEnd(isir_blank().length, ' ')
+}
+
+
+//****************************
+// ISIR file streaming reader
+//
+
+/**
+ * Read lines of an ISIR file incrementally, without loading the whole file into memory.
+ * Each line is classified as an ISIR frame, a SAIG header or trailer line, or blank.
+ * SAIG lines are parsed using {@link isir_saig_parse} into `saig`.
+ * ISIR frames not matching the record length, SAIG headers and trailers with a non-standard mailbox
+ * or message class, and SAIG trailers with a record count not matching the ISIR frames since the header,
+ * are marked `invalid`.
+ *
+ * @param {*} byte_stream - Web `ReadableStream` (e.g. `file.stream()`), `Blob`, or async iterable
+ *   of byte chunks (e.g. Node `fs.createReadStream()`)
+ * @param {*} opt - {record_len} expected ISIR frame length, otherwise from {@link isir_layout_for};
+ *   {layout} as for {@link isir_layout_for}; {encoding} for `TextDecoder`
+ * @returns {AsyncGenerator} - of {kind: 'isir'|'saig'|'blank', line, offset, byte_length, text, saig?, invalid?},
+ *   where `line` is 1-based and `offset` and `byte_length` are in bytes, excluding the line ending
+ */
+export async function * aiter_isir_file_lines(byte_stream, opt={}) {
+    let decoder = new TextDecoder(opt.encoding ?? 'utf-8')
+    let line = 0, offset = 0, pending = [] // byte chunks of the current incomplete line
+    let batch_frames = null // count of ISIR frames since the last SAIG header
+
+    const _line_entry = (eol_len) => {
+        let bytes = _isir_concat_bytes(pending)
+        let byte_length = bytes.length
+        if (0x0d == bytes[byte_length-1]) // CR of CR+LF line ending
+            byte_length--, eol_len++
+
+        let text = decoder.decode(bytes.subarray(0, byte_length))
+        let saig = text.trim() ? isir_saig_parse(text) : null
+        let kind = saig ? 'saig' : !text.trim() ? 'blank' : 'isir'
+        let entry = {kind, line: ++line, offset, byte_length, text}
+
+        if ('isir' == kind) {
+            if (null != batch_frames) batch_frames++
+            let record_len = opt.record_len ?? isir_layout_for(text, opt).record_len
+            if (text.length != record_len)
+                entry.invalid = `record length ${text.length}; expected ${record_len}`
+        } else if (saig) {
+            entry.saig = saig
+            let issue = 'other' != saig.kind && _isir_saig_issue(saig)
+            if (issue)
+                entry.invalid = issue
+            if ('header' == saig.kind)
+                batch_frames = 0
+            else if ('trailer' == saig.kind) {
+                if (null != saig.count && null != batch_frames && saig.count != batch_frames)
+                    entry.invalid ??= `SAIG trailer count ${saig.count}; found ${batch_frames} ISIR frames`
+                batch_frames = null
+            }
+        }
+
+        offset += byte_length + eol_len
+        pending = []
+        return entry
+    }
+
+    for await (let chunk of _aiter_byte_chunks(byte_stream)) {
+        let start = 0, idx_lf
+        while (-1 != (idx_lf = chunk.indexOf(0x0a, start))) {
+            pending.push(chunk.subarray(start, idx_lf))
+            yield _line_entry(1)
+            start = idx_lf + 1
+        }
+        if (start < chunk.length)
+            pending.push(chunk.slice(start)) // copy in case the source reuses its buffer
+    }
+
+    if (pending.length) // last line without a line ending
+        yield _line_entry(0)
+}
+
+/**
+ * Read ISIR frames from an ISIR file incrementally, skipping SAIG header and trailer lines and blank lines.
+ * @param {*} byte_stream - see {@link aiter_isir_file_lines}
+ * @param {*} opt - see {@link aiter_isir_file_lines}
+ * @returns {AsyncGenerator} - of {kind: 'isir', line, offset, byte_length, text, invalid?}
+ */
+export async function * aiter_isir_frames(byte_stream, opt) {
+    for await (let entry of aiter_isir_file_lines(byte_stream, opt))
+        if ('isir' == entry.kind)
+            yield entry
+}
+
+async function * _aiter_byte_chunks(byte_stream) {
+    if (byte_stream.stream) // Blob or File
+        byte_stream = byte_stream.stream()
+
+    if (byte_stream.getReader) { // Web ReadableStream; not async iterable in all browsers
+        let reader = byte_stream.getReader()
+        try {
+            for (let res; !(res = await reader.read()).done; )
+                yield res.value
+        } finally { reader.releaseLock() }
+    } else {
+        for await (let chunk of byte_stream)
+            yield 'string' == typeof chunk ? new TextEncoder().encode(chunk) : chunk
+    }
+}
+
+function _isir_concat_bytes(chunks) {
+    if (1 == chunks.length) return chunks[0]
+    let bytes = new Uint8Array(chunks.reduce((total, chunk) => total + chunk.length, 0))
+    for (let i=0, pos=0; i<chunks.length; pos += chunks[i++].length)
+        bytes.set(chunks[i], pos)
+    return bytes
+}
+
+
+//****************************
+// ISIR transaction comparison
+//
+
+/**
+ * Compare two ISIR frames field by field, such as two transactions for the same FAFSA UUID (field 2)
+ * where the later transaction results from a correction (field 280, Correction Applied against Transaction Number).
+ *
+ * Changes to data fields include the correction, highlight, and verify flags describing that field
+ * in the correction section of `isir_frame_b`.
+ *
+ * @param {string} isir_frame_a - earlier ISIR frame
+ * @param {string} isir_frame_b - later ISIR frame
+ * @param {*} opt - {layout} as for {@link isir_layout_for}, detected from `isir_frame_b` by default
+ * @returns {Array} - sections having changes, as `{__proto__: section, changes: [{field, raw_a, raw_b, a, b, flags?}]}`,
+ *   where `flags` is `{field, raw, correction, highlight, verify}`; also has `transactions` with
+ *   `{fafsa_uuid, transaction_number, correction_applied}` of each ISIR frame
+ */
+export function isir_diff(isir_frame_a, isir_frame_b, opt={}) {
+    let layout = isir_layout_for(isir_frame_b, opt)
+    let {flag_fields} = _isir_correction_map(layout)
+
+    let isir_diff_res = []
+    for (let section of layout.sections) {
+        let changes = []
+        for (let field of section.field_list) {
+            let raw_a = isir_field_read_raw(field, isir_frame_a)
+            let raw_b = isir_field_read_raw(field, isir_frame_b)
+            if (raw_a == raw_b) continue
+
+            let change = {__proto__: {field}, raw_a, raw_b,
+                a: isir_field_read(field, isir_frame_a, 'ignore'),
+                b: isir_field_read(field, isir_frame_b, 'ignore')}
+
+            let flag_field = flag_fields.get(field)
+            if (flag_field)
+                change.flags = isir_correction_flags(flag_field, isir_frame_b)
+            changes.push(change)
+        }
+        if (changes.length)
+            isir_diff_res.push({__proto__: section, changes})
+    }
+
+    const _transaction = isir_frame => ({
+        fafsa_uuid: isir_field_read_raw(layout.fields[2], isir_frame).trim(),
+        transaction_number: isir_field_read_raw(layout.fields[5], isir_frame).trim(),
+        correction_applied: isir_field_read_raw(layout.fields[280], isir_frame).trim()})
+    isir_diff_res.transactions = [_transaction(isir_frame_a), _transaction(isir_frame_b)]
+    return isir_diff_res
+}
+
+//****************************
+// ISIR correction, highlight, and verify flags
+//
+
+/**
+ * Map each correction section field (fields 331–556 for 2024-25) to the data field it describes.
+ * Flag fields are matched to data fields by person and field path; e.g. field 331 with path
+ * `["student", "First_Name"]` describes field 25 at `student.identity.First_Name`.
+ *
+ * @param {*} opt - {layout} as for {@link isir_layout_for}, defaulting to 2024-25
+ * @returns {Map} - from correction flag field to `{field, section, path}`, where `path` is the JSON path of the data field
+ */
+export function isir_correction_targets(opt) {
+    return _isir_correction_map(isir_layout_for('', opt)).targets
+}
+
+/**
+ * Read the correction, highlight, and verify flags of a correction section field
+ * @param {ISIRField} flag_field - field validated by `_validate_correction`
+ * @param {string} isir_frame
+ * @returns {*} - {field, raw, correction, highlight, verify}, with flags '0' when not set
+ */
+export function isir_correction_flags(flag_field, isir_frame) {
+    let raw = isir_field_read_raw(flag_field, isir_frame)
+    let m = _rx_correction_highlight_verify_flags.exec(raw.trim() || '000')
+    return {__proto__: {field: flag_field}, raw, ... (m?.groups ?? {correction: '', highlight: '', verify: ''})}
+}
+
+/**
+ * Read the correction, highlight, and verify flags of an ISIR frame by the data field they describe
+ * @param {string} isir_frame
+ * @param {*} opt - {layout} as for {@link isir_layout_for}
+ * @returns {Map} - from data field to flags from {@link isir_correction_flags}, for fields having any flag set
+ */
+export function isir_correction_flags_by_field(isir_frame, opt) {
+    let res = new Map()
+    for (let [field, flag_field] of _isir_correction_map(isir_layout_for(isir_frame, opt)).flag_fields) {
+        let flags = isir_correction_flags(flag_field, isir_frame)
+        if (_isir_correction_flags_set(flags))
+            res.set(field, flags)
+    }
+    return res
+}
+
+const _isir_correction_flags_set = ({correction, highlight, verify}) =>
+    /[1-9]/.test(correction + highlight + verify)
+
+// Correction section fields whose names do not match the path of the data field they describe, for 2024-25
+const _isir_correction_flag_targets = {347: 42, 357: 52, 363: 58, 364: 59, 389: 84, 497: 194}
+
+const _isir_correction_map_cache = new Map() // cache correction flag mapping by layout
+function _isir_correction_map(layout) {
+    let res = _isir_correction_map_cache.get(layout)
+    if (res) return res
+
+    // data fields by person (e.g. `student`, `parent_spouse`) and field path;
+    // manually entered financial sections precede the FTI-M sections
+    let by_path = new Map()
+    for (let section of layout.sections)
+        for (let field of section.field_list)
+            if (field.path && field.validate !== _validate_correction) {
+                let key = `${section.path[0]}.${field.path.at(-1)}`
+                if (!by_path.has(key)) by_path.set(key, {field, section, path: [... section.path, ... field.path]})
+            }
+    const by_idx = new Map(Array.from(by_path.values(), target => [target.field.idx, target]))
+
+    res = {targets: new Map(), flag_fields: new Map()}
+    for (let flag_field of layout.fields)
+        if (flag_field?.validate === _validate_correction) {
+            let idx = layout.fields === isir_record_fields && _isir_correction_flag_targets[flag_field.idx]
+            let target = idx ? by_idx.get(idx)
+                : by_path.get(`${flag_field.path[0]}.${flag_field.path.at(-1)}`)
+            if (!target) continue
+
+            res.targets.set(flag_field, target)
+            res.flag_fields.set(target.field, flag_field)
+        }
+
+    _isir_correction_map_cache.set(layout, res)
+    return res
+}
+
+//****************************
+// ISIR verification
+//
+
+/**
+ * Assemble what a school must verify for an ISIR frame: whether the student is selected for verification (field 297),
+ * the verification group (field 296), the Verification Selection Change Flag (field 580), and the data elements
+ * whose verify flag is set in the correction, highlight, and verify fields (fields 331–556), resolved to the data
+ * fields they describe with their current values.
+ * Export for the financial aid office using {@link isir_verification_worksheet_csv} or {@link isir_verification_worksheet_html}.
+ *
+ * @param {string} isir_frame
+ * @param {*} opt - {layout} as for {@link isir_layout_for}
+ * @returns {*} - {fafsa_uuid, transaction_number, student_name, selected, selection, group, selection_change, items},
+ *   where `selected` is true when field 297 is 'Y'; `selection`, `group`, and `selection_change` are
+ *   coded values `{code, label}`, or null when blank; and `items` lists
+ *   {field, name, path, value, label, verify, status, flag_field} in field order, with `verify` '1' and `status` 'selected'
+ *   for data elements to verify, or `verify` '2' and `status` 'verified' for data elements already verified
+ */
+export function isir_verification(isir_frame, opt) {
+    _isir_require_2024_25(isir_frame, 'isir_verification', opt)
+    let layout = isir_layout_for(isir_frame, opt)
+    const read = idx => layout.fields[idx] ? isir_field_read_raw(layout.fields[idx], isir_frame).trim() : ''
+    const read_coded = idx => {
+        let code = read(idx)
+        return '' == code ? null
+            : {code, label: _isir_field_enum_options(layout.fields[idx]).find(([key]) => key == code)?.[1] ?? null}
+    }
+
+    let {targets} = _isir_correction_map(layout)
+    let items = []
+    for (let [field, flags] of isir_correction_flags_by_field(isir_frame, opt)) {
+        if (!_isir_verification_status[flags.verify])
+            continue
+
+        let value = isir_field_read_raw(field, isir_frame).trim()
+        let [, label=null] = _isir_field_enum_options(field).find(([code]) => code == value) ?? []
+        items.push({field: field.idx, name: field.name, path: targets.get(flags.field).path, value, label,
+            verify: flags.verify, status: _isir_verification_status[flags.verify], flag_field: flags.field.idx})
+    }
+    items.sort((a, b) => a.field - b.field)
+
+    let selection = read_coded(297)
+    return {
+        fafsa_uuid: read(2), transaction_number: read(5), student_name: [read(25), read(27)].filter(Boolean).join(' '),
+        selected: 'Y' == selection?.code, selection, group: read_coded(296), selection_change: read_coded(580),
+        items}
+}
+
+const _isir_verification_status = {1: 'selected', 2: 'verified'}
+
+/**
+ * Export verification worksheets of {@link isir_verification} as CSV, with one row for each data element to verify,
+ * and one row without a field for ISIRs selected for verification without flagged data elements.
+ * The blank "Documentation" and "Verified Value" columns are for the financial aid office to complete.
+ * @param {*} verifications - one or a list of {@link isir_verification} results, optionally with `file` and `line`
+ * @returns {string} - CSV text using CR+LF line endings
+ */
+export function isir_verification_worksheet_csv(verifications) {
+    let rows = [['File', 'Line', 'FAFSA UUID', 'Transaction', 'Student Name', 'Selected', 'Group', 'Group Label',
+        'Field', 'Name', 'Path', 'Value', 'Status', 'Documentation', 'Verified Value']]
+    for (let rec of [verifications].flat()) {
+        let isir_cols = [rec.file, rec.line, rec.fafsa_uuid, rec.transaction_number, rec.student_name,
+            rec.selection?.code, rec.group?.code, rec.group?.label]
+        for (let e of rec.items)
+            rows.push([... isir_cols, `f_${e.field}`, e.name, e.path.join('.'), e.value, e.status, '', ''])
+        if (rec.selected && !rec.items.length)
+            rows.push(isir_cols)
+    }
+    return rows.map(row => row.map(_isir_csv_value).join(',')).join('\r\n') + '\r\n'
+}
+
+/**
+ * Export verification worksheets of {@link isir_verification} as a self-contained, printable HTML document,
+ * with one worksheet for each ISIR selected for verification or having flagged data elements
+ * @param {*} verifications - one or a list of {@link isir_verification} results, optionally with `file` and `line`
+ * @param {*} opt - {title} of the HTML document
+ * @returns {string} - HTML document
+ */
+export function isir_verification_worksheet_html(verifications, opt={}) {
+    let {title='ISIR Verification Worksheet'} = opt
+    const esc = _isir_html_escape
+    const coded = e => e ? `${e.code}${e.label ? ` (${e.label})` : ''}` : '(blank)'
+
+    let html = [
+        '<!DOCTYPE html>', '<html lang=en>', '<head>', '<meta charset="utf-8" />', `<title>${esc(title)}</title>`,
+        '<style>',
+        'body { font-family: sans-serif; padding: 2rem; }',
+        'section { break-inside: avoid; margin-bottom: 2rem; }',
+        'table { border-collapse: collapse; margin-bottom: 1rem; }',
+        'th, td { border: 1px solid #ccc; padding: 0.25rem 0.5rem; text-align: left; }',
+        'th { background-color: #e8e8e8; }',
+        'td.blank { min-width: 10rem; }',
+        'tr.verified { color: #666; }',
+        '</style>', '</head>', '<body>',
+        `<h1>${esc(title)}</h1>`,
+    ]
+
+    let worksheets = [verifications].flat().filter(rec => rec.selected || rec.items.length)
+    if (!worksheets.length)
+        html.push('<p>No ISIRs are selected for verification.</p>')
+    for (let rec of worksheets) {
+        let source = rec.file ? ` (${rec.file}${null != rec.line ? `:${rec.line}` : ''})` : ''
+        html.push('<section>',
+            `<h2>${esc(rec.student_name || '(no name)')}${esc(source)}</h2>`,
+            `<p>FAFSA UUID: <code>${esc(rec.fafsa_uuid)}</code>, transaction <code>${esc(rec.transaction_number)}</code></p>`,
+            '<ul>',
+            `<li>Selected for verification: ${esc(coded(rec.selection))}</li>`,
+            `<li>Verification group: ${esc(coded(rec.group))}</li>`,
+            rec.selection_change ? `<li>Selection change: ${esc(coded(rec.selection_change))}</li>` : '',
+            '</ul>')
+        if (rec.items.length)
+            html.push('<table>',
+                `<thead><tr>${['Field', 'Name', 'Value', 'Status', 'Documentation', 'Verified Value'].map(v => `<th>${esc(v)}</th>`).join('')}</tr></thead>`,
+                '<tbody>',
+                ... rec.items.map(e => `<tr class="${esc(e.status)}">${
+                    [`f_${e.field}`, e.name, e.label ? `${e.value} (${e.label})` : e.value, e.status].map(v => `<td>${esc(v)}</td>`).join('')
+                    }<td class="blank"></td><td class="blank"></td></tr>`),
+                '</tbody>', '</table>')
+        else html.push('<p><em>No data elements are flagged for verification.</em></p>')
+        html.push('</section>')
+    }
+
+    html.push('</body>', '</html>', '')
+    return html.filter(Boolean).join('\n')
+}
+
+
+//****************************
+// ISIR comment and reject reason codes
+//
+
+/**
+ * Award year 2024–25 comment codes (field 568), summarizing the comment text of
+ * Volume 4 of the 2024–25 FAFSA Specifications Guide, which remains the authoritative source.
+ * The related fields and reject reason codes of each entry agree with the FSA test ISIRs.
+ * Codes missing from this catalog are explained without text.
+ *
+ * Each entry has `text`, a `category`, whether the school can `resolve` it
+ * (by correction, documentation, or professional judgment), the related `fields`,
+ * and the `reject` reason code it accompanies, if any.
+ */
+export const isir_comment_codes = {
+    '003': {category: 'dependency', resolve: true, fields: [6, 59], reject: '1',
+        text: 'The student reported unusual circumstances and is provisionally independent. The financial aid administrator must review the circumstances to grant a dependency override, or the student must provide parent information.'},
+    '017': {category: 'citizenship', resolve: false, fields: [63], reject: '7',
+        text: 'The student reported being neither a U.S. citizen nor an eligible noncitizen, and is not eligible for federal student aid unless the citizenship status is corrected.'},
+    '033': {category: 'income', resolve: true, fields: [95, 96], reject: '8',
+        text: 'The income tax paid reported for the student (and spouse) is greater than their adjusted gross income. Confirm or correct the reported amounts.'},
+    '044': {category: 'consent', resolve: false, fields: [128], reject: '10',
+        text: 'The student did not consent to the retrieval and disclosure of federal tax information. The student must provide consent to receive an SAI.'},
+    '048': {category: 'pell', resolve: true, fields: [42, 570],
+        text: 'The student reported having a bachelor\'s degree or graduate status, and is not eligible for a Federal Pell Grant unless enrolled in a postbaccalaureate teacher certification program.'},
+    '049': {category: 'parent', resolve: false, fields: [6, 166, 168, 170, 171], reject: '14',
+        text: 'The student is dependent, but no parent information was provided. A parent must provide their information and sign the FAFSA.'},
+    '066': {category: 'income', resolve: true, fields: [205, 206], reject: '35',
+        text: 'The income tax paid reported for the parent is greater than their adjusted gross income. Confirm or correct the reported amounts.'},
+    '080': {category: 'consent', resolve: false, fields: [218], reject: '36',
+        text: 'The parent did not consent to the retrieval and disclosure of federal tax information. The parent must provide consent for the student to receive an SAI.'},
+    '082': {category: 'signature', resolve: false, fields: [219, 220], reject: '38',
+        text: 'The FAFSA was not signed by the parent. The parent must sign for the student to receive an SAI.'},
+    '131': {category: 'consent', resolve: false, fields: [162], reject: '25',
+        text: 'The student\'s spouse did not consent to the retrieval and disclosure of federal tax information. The spouse must provide consent for the student to receive an SAI.'},
+    '134': {category: 'reject', resolve: false, fields: [6, 576],
+        text: 'The FAFSA of this dependent student was rejected and no SAI was calculated. Resolve the reject reason codes to receive an SAI.'},
+    '135': {category: 'reject', resolve: false, fields: [6, 576],
+        text: 'The FAFSA of this independent student was rejected and no SAI was calculated. Resolve the reject reason codes to receive an SAI.'},
+    '146': {category: 'match', resolve: false, fields: [300, 560],
+        text: 'The student was found in NSLDS with no financial aid history to report.'},
+    '147': {category: 'pell', resolve: false, fields: [18, 23, 571],
+        text: 'Based on the SAI, the student is not eligible for a Federal Pell Grant unless eligible for the minimum Pell Grant.'},
+    '148': {category: 'pell', resolve: false, fields: [18, 22, 571],
+        text: 'Based on the SAI, the student may be eligible for a Federal Pell Grant.'},
+    '291': {category: 'match', resolve: false, fields: [45, 567],
+        text: 'The Department of Veterans Affairs confirmed the student\'s veteran status.'},
+}
+
+/**
+ * Award year 2024–25 reject reason codes (field 576), summarizing Volume 4
+ * of the 2024–25 FAFSA Specifications Guide; entries are as for {@link isir_comment_codes}.
+ */
+export const isir_reject_codes = {
+    '1': {category: 'dependency', resolve: true, fields: [6, 59],
+        text: 'Provisionally independent student; dependency status must be determined by the financial aid administrator.'},
+    '7': {category: 'citizenship', resolve: false, fields: [63],
+        text: 'Student is neither a U.S. citizen nor an eligible noncitizen.'},
+    '8': {category: 'income', resolve: true, fields: [95, 96],
+        text: 'Student income tax paid is greater than adjusted gross income.'},
+    '10': {category: 'consent', resolve: false, fields: [128],
+        text: 'Student consent to retrieve and disclose federal tax information not granted.'},
+    '14': {category: 'parent', resolve: false, fields: [6, 166, 168, 170, 171],
+        text: 'Parent information missing for a dependent student.'},
+    '25': {category: 'consent', resolve: false, fields: [162],
+        text: 'Student spouse consent to retrieve and disclose federal tax information not granted.'},
+    '35': {category: 'income', resolve: true, fields: [205, 206],
+        text: 'Parent income tax paid is greater than adjusted gross income.'},
+    '36': {category: 'consent', resolve: false, fields: [218],
+        text: 'Parent consent to retrieve and disclose federal tax information not granted.'},
+    '38': {category: 'signature', resolve: false, fields: [219, 220],
+        text: 'Parent signature missing.'},
+}
+
+/**
+ * Explain the comment codes (field 568) and reject reason codes (field 576) of an ISIR frame
+ * using {@link isir_comment_codes} and {@link isir_reject_codes}
+ * @param {string} isir_frame
+ * @returns {*} - {comments, rejects}, each a list of `{code, text, category, resolve, fields, reject}`
+ *   in ISIR order; `text` is null for codes missing from the catalog
+ */
+export function isir_codes_explain(isir_frame) {
+    _isir_require_2024_25(isir_frame, 'isir_codes_explain')
+    return {
+        comments: _isir_codes_explain(field_568, isir_field_read_raw(field_568, isir_frame)),
+        rejects: _isir_codes_explain(field_576, isir_field_read_raw(field_576, isir_frame)),
+    }
+}
+
+function _isir_codes_explain(field, sz_value) {
+    let [catalog, codes] =
+        field === field_568 ? [isir_comment_codes, sz_value.match(/\d{3}/g)] // triple-digit codes
+        : field === field_576 ? [isir_reject_codes, sz_value.match(/.{1,2}/g)] // two-character codes, left justified
+        : []
+    if (!catalog) return null
+
+    return (codes || []).map(code => code.trim()).filter(Boolean)
+        .map(code => ({code, text: null, ... catalog[code]}))
+}
+
+//****************************
+// ISIR anonymization of personally identifiable information (PII)
+//
+
+/**
+ * Replace personally identifiable information of an ISIR frame with synthetic values,
+ * such as names, dates of birth, SSNs, contact information, and UUIDs of every person.
+ *
+ * Synthetic values are consistent through `mapping`: the same original value is replaced
+ * by the same synthetic value in every field and every ISIR frame sharing the mapping,
+ * keeping relationships such as shared last names, addresses, and FAFSA UUIDs intact.
+ * Dates of birth keep their year and month, and zip codes their first three digits,
+ * to keep ages and locations used by eligibility rules.
+ * Cities and states (e.g. fields 35 and 36), high school names and cities (fields 70 and 71),
+ * and the preparer affiliation (field 260) are kept unchanged; review them before sharing ISIRs
+ * of small communities, where they may identify the applicant.
+ *
+ * The mapping holds the original PII; use {@link isir_anonymize_report} to keep it locally.
+ *
+ * @param {string} isir_frame
+ * @param {*} opt - {mapping} to share between ISIR frames, defaulting to a new Map;
+ *   {mode} for validation of synthetic values, see {@link isir_field_validate};
+ *   {layout} as for {@link isir_layout_for}
+ * @returns {string} - anonymized isir_frame
+ */
+export function isir_anonymize(isir_frame, opt={}) {
+    let {mapping = new Map(), mode} = opt
+    for (let field of isir_layout_for(isir_frame, opt).fields) {
+        let kind = _isir_anonymize_kind(field)
+        let value = kind && isir_field_read_raw(field, isir_frame).trimEnd()
+        if (!value) continue
+
+        let by_value = mapping.get(kind) ?? mapping.set(kind, new Map()).get(kind)
+        let synthetic = by_value.get(value)
+        if (null == synthetic)
+            by_value.set(value, synthetic = _isir_synthetic[kind](by_value.size + 1, value))
+        isir_frame = isir_field_update(field, isir_frame, synthetic, mode)
+    }
+    return isir_frame
+}
+
+/**
+ * List the original and synthetic values of an anonymization mapping.
+ * The report contains the original PII and must not be shared with the anonymized ISIRs.
+ * @param {Map} mapping - from {@link isir_anonymize}
+ * @returns {Array} - list of {kind, original, synthetic}
+ */
+export function isir_anonymize_report(mapping) {
+    let report = []
+    for (let [kind, by_value] of mapping)
+        for (let [original, synthetic] of by_value)
+            report.push({kind, original, synthetic})
+    return report
+}
+
+// PII kinds by the last path element of person identity, preparer, transaction, and match fields
+const _isir_anonymize_kinds = {
+    __proto__: null,
+    FAFSA_UUID: 'uuid', UUID: 'uuid', Person_UUID: 'uuid',
+    First_Name: 'first_name', Middle_Name: 'middle_name', Last_Name: 'last_name', Suffix: 'suffix',
+    Date_of_Birth: 'date_of_birth',
+    Social_Security_Number: 'ssn', ITIN: 'itin', EIN: 'ein',
+    Phone_Number: 'phone', Email_Address: 'email',
+    Street_Address: 'street_address', Zip_Code: 'zip_code',
+    A_Number: 'a_number', DHS_Case_Number: 'dhs_case_number',
+}
+
+const _isir_anonymize_kind = field =>
+    field?.path && field.validate !== _validate_correction
+        ? _isir_anonymize_kinds[field.path.at(-1)] : undefined
+
+const _isir_first_names = ['Alex', 'Blair', 'Casey', 'Dana', 'Emery', 'Finley', 'Gray', 'Harper', 'Jordan', 'Kai', 'Logan', 'Morgan', 'Noel', 'Parker', 'Quinn', 'Riley', 'Sage', 'Taylor']
+const _isir_suffixes = ['Jr', 'Sr', 'II', 'III', 'IV', 'V']
+const _isir_last_names = ['Adams', 'Brooks', 'Carter', 'Dixon', 'Ellis', 'Foster', 'Grant', 'Hayes', 'Jensen', 'Keller', 'Lowe', 'Mason', 'Nolan', 'Owens', 'Porter', 'Reyes', 'Stone', 'Turner']
+
+// Pick the n-th name, adding a letter suffix once names repeat (e.g. `Alex-B`)
+function _isir_synthetic_name(names, n) {
+    let [rounds, i] = [Math.floor((n-1) / names.length), (n-1) % names.length]
+    return rounds ? `${names[i]}-${String.fromCharCode(65 + rounds % 26)}` : names[i]
+}
+
+// Synthetic value generators by PII kind, given the count `n` of distinct values of that kind and the original value
+const _isir_synthetic = {
+    __proto__: null,
+    uuid: n => `00000000-0000-4000-8000-${n.toString(16).padStart(12, '0')}`,
+    first_name: n => _isir_synthetic_name(_isir_first_names, n),
+    middle_name: (n, value) => 1 == value.length
+        ? String.fromCharCode(65 + (n-1) % 26) // keep middle initials as initials
+        : _isir_synthetic_name(_isir_first_names, n + 7),
+    last_name: n => _isir_synthetic_name(_isir_last_names, n),
+    suffix: (n, value) => _isir_suffixes.filter(suffix => suffix != value)[(n-1) % (_isir_suffixes.length-1)],
+    date_of_birth: (n, value) => `${value.slice(0, 6)}${String(1 + (n-1) % 28).padStart(2, '0')}`,
+    ssn: n => `666${String(n).padStart(6, '0')}`, // area 666 is never assigned by SSA
+    itin: n => `900${String(n).padStart(6, '0')}`, // group 00 is never assigned by IRS
+    ein: n => `00${String(n).padStart(7, '0')}`,
+    phone: n => `555${String(n).padStart(7, '0')}`,
+    email: n => `person${n}@example.com`,
+    street_address: n => `${100 + n} Main Street`,
+    zip_code: (n, value) => value.slice(0, 3) + value.slice(3).replace(/[0-9]/g, '0'),
+    a_number: n => String(n).padStart(9, '0'),
+    dhs_case_number: (n, value) => String(n).padStart(13, '0') + value.slice(13),
+}
+
+//****************************
+// ISIR mock generation
+//
+
+/**
+ * Generate a complete ISIR frame for a mock applicant described by `scenario`,
+ * using {@link isir_blank} and {@link isir_field_update}.
+ * The same `seed` and scenario always generate the same ISIR frame.
+ *
+ * The SAI, FPS worksheet, total income, and Pell fields are filled using
+ * {@link isir_compute_sai} and {@link isir_compute_pell}; incomes are drawn
+ * again until Pell eligibility matches `scenario.pell`.
+ *
+ * Scenario description:
+ *   dependency: 'D' dependent (default), 'I' independent, or 'Z' provisionally independent (rejected, without SAI)
+ *   contributors: 1 (default) or 2; the parents of a dependent student, or an independent student and spouse
+ *   joint: the married parents (or student and spouse) filed a joint return, so the spouse is not a contributor
+ *   tax: 'fti' (default), 'manual', or 'nonfiler'; or by person, e.g. `{student: 'nonfiler', parent: 'fti'}`
+ *   dependents: number of dependents of an independent student, using SAI Formula C
+ *   family_size: household size of the contributors; drawn when omitted
+ *   marital_status: code of field 180 (parents) or field 40 (independent student), consistent with `contributors` and `joint`
+ *   pell: true or false to require Pell Grant eligibility; either when omitted
+ *   agi: total adjusted gross income of the contributors; drawn when omitted
+ *   state: two-letter state of legal residence; drawn from {@link isir_mock_places} when omitted
+ *   college: federal school code of College #1 (field 108)
+ *
+ * Numeric entries may also be given as a range `[min, max]`, and `state` and
+ * `marital_status` as a list, to draw a different variant for each seed;
+ * see {@link isir_mock_templates}.
+ *
+ * @param {*} scenario
+ * @param {*} opt - {seed} number or string, defaulting to 0; {tries} to match `scenario.pell`, defaulting to 50
+ * @returns {string} - isir_frame
+ */
+export function isir_mock(scenario={}, opt={}) {
+    let {dependency='D', contributors=1, tax} = scenario
+    if (!['D', 'I', 'Z'].includes(dependency))
+        throw new Error(`Unknown mock ISIR dependency ${JSON.stringify(dependency)}; expected D, I, or Z`)
+    if (![1, 2].includes(contributors))
+        throw new Error(`Unknown mock ISIR contributors ${JSON.stringify(contributors)}; expected 1 or 2`)
+    for (let mode of tax?.trim ? [tax] : Object.values(tax ?? {}))
+        if (!['fti', 'manual', 'nonfiler'].includes(mode))
+            throw new Error(`Unknown mock ISIR tax ${JSON.stringify(mode)}; expected fti, manual, or nonfiler`)
+
+    let rng = _isir_mock_rng(opt.seed ?? 0)
+    for (let attempt=0; attempt < (opt.tries ?? 50); attempt++) {
+        let isir_frame = _isir_mock_frame(scenario, rng)
+        let eligible = 'Y' == _isir_sai_value(571, isir_frame)
+        if (null == scenario.pell || eligible == scenario.pell)
+            return isir_frame
+    }
+    throw new Error(`Unable to generate mock ISIR with Pell eligibility ${scenario.pell} for scenario ${JSON.stringify(scenario)}`)
+}
+
+/**
+ * Scenario templates for {@link isir_mock}, by hand-crafted test ISIR scenario number
+ * (see `test-isir-files/README.md`). Each template exercises the same dependency, SAI formula,
+ * contributor, tax information, and Pell branches as its scenario, while incomes, family sizes,
+ * marital statuses, and states vary with the seed.
+ */
+export const isir_mock_templates = {
+    1: {description: 'Independent applicant with dependents, Pell eligible, FTI tax information',
+        scenario: {dependency: 'I', joint: true, dependents: [1, 3], tax: 'fti', pell: true, agi: [5000, 45000]}},
+    2: {description: 'Provisionally independent applicant, processed with rejects, FTI tax information',
+        scenario: {dependency: 'Z', tax: 'fti', agi: [5000, 45000]}},
+    3: {description: 'Independent applicant without dependents, Pell eligible, manual tax information',
+        scenario: {dependency: 'I', tax: 'manual', pell: true, agi: [5000, 30000], marital_status: ['1', '4', '5']}},
+    4: {description: 'Dependent applicant, two parents/contributors, all FTI non-filer tax information, max Pell',
+        scenario: {contributors: 2, tax: 'nonfiler', pell: true, family_size: [3, 6], marital_status: ['2', '3', '4']}},
+    5: {description: 'Dependent applicant, one parent/contributor, all FTI tax information, Pell eligible',
+        scenario: {tax: 'fti', pell: true, agi: [10000, 45000], family_size: [2, 5], marital_status: ['1', '5', '6', '7']}},
+    6: {description: 'Dependent applicant, two parents/contributors, student/one parent FTI tax information, other parent manual tax information, Pell ineligible due to SAI',
+        scenario: {contributors: 2, tax: {student: 'fti', parent: 'fti', parent_spouse: 'manual'}, pell: false,
+            agi: [150000, 300000], family_size: [3, 6], marital_status: ['2', '3', '4']}},
+    7: {description: 'Dependent applicant, two parents filed jointly so one contributor, all FTI tax information, Pell ineligible',
+        scenario: {joint: true, tax: 'fti', pell: false, agi: [150000, 300000], family_size: [3, 6], marital_status: ['3', '4']}},
+    8: {description: 'Dependent applicant, one parent/contributor, applicant FTI non-tax filer, parent FTI tax information, Pell eligible',
+        scenario: {tax: {student: 'nonfiler', parent: 'fti'}, pell: true, agi: [10000, 45000], family_size: [2, 5], marital_status: ['1', '5', '6', '7']}},
+}
+
+/**
+ * Generate a variant of a scenario template using {@link isir_mock}
+ *
+ * @param {number|string} template - scenario number of {@link isir_mock_templates}
+ * @param {*} opt - {seed, tries} as for {@link isir_mock}; {scenario} entries override the template, e.g. `{state: 'TX'}`
+ * @returns {string} - isir_frame
+ */
+export function isir_mock_template(template, opt={}) {
+    let {scenario} = isir_mock_templates[template] ?? {}
+    if (!scenario)
+        throw new Error(`Unknown mock ISIR scenario template ${JSON.stringify(template)}; expected one of ${Object.keys(isir_mock_templates).join(', ')}`)
+    return isir_mock({...scenario, ...opt.scenario}, opt)
+}
+
+/** Places used for mock addresses and high schools, by state */
+export const isir_mock_places = {
+    AZ: ['Phoenix', '85004'], IA: ['Davenport', '52801'], NJ: ['Newark', '07102'], NM: ['Santa Fe', '87501'],
+    SD: ['Mitchell', '57301'], TX: ['Austin', '78701'], VA: ['Richmond', '23219'], WA: ['Spokane', '99201'],
+}
+
+// Person fields by role: identity section start, and consent, signature, and match fields
+const _isir_mock_persons = {
+    student: {identity: 25, consent: 128, signature: 129, filing_status: 88, affirmation: 268,
+        consent_date: 272, signature_source: 288, ssa_match: 563, filed: 85, not_filed: [86, '2']},
+    student_spouse: {identity: 132, consent: 162, signature: 163, filing_status: 148, affirmation: 269,
+        consent_date: 273, signature_source: 289, ssa_match: 564, filed: 146, not_filed: [147, '2']},
+    parent: {identity: 166, consent: 218, signature: 219, filing_status: 198, affirmation: 270,
+        consent_date: 274, signature_source: 290, ssa_match: 565, filed: 195, not_filed: [196, '3']},
+    parent_spouse: {identity: 222, consent: 252, signature: 253, filing_status: 238, affirmation: 271,
+        consent_date: 275, signature_source: 291, ssa_match: 566, filed: 236, not_filed: [237, '3']},
+}
+
+function _isir_mock_frame(scenario, rng) {
+    const int = (min, max) => min + Math.floor(rng() * (max - min + 1))
+    const pick = list => list[int(0, list.length - 1)]
+    const draw = value => !Array.isArray(value) ? value
+        : 'number' == typeof value[0] ? int(... value) : pick(value)
+
+    let {dependency='D', contributors=1, joint=false} = scenario
+    let dependents = draw(scenario.dependents) ?? 0
+    let dependent = 'D' == dependency, provisional = 'Z' == dependency
+    let married = 2 == contributors || joint
+
+    const hex = n => Array.from({length: n}, () => int(0, 15).toString(16)).join('')
+    const date = (year, month=int(1, 12), day=int(1, 28)) =>
+        `${year}${String(month).padStart(2, '0')}${String(day).padStart(2, '0')}`
+
+    let isir_frame = isir_blank()
+    const set = (idx, value) =>
+        isir_frame = isir_field_update(isir_record_fields[idx], isir_frame, `${value}`)
+
+    // transaction
+    for (let idx of [2, 3, 4])
+        set(idx, `${hex(8)}-${hex(4)}-4${hex(3)}-${pick('89ab')}${hex(3)}-${hex(12)}`)
+    let receipt_date = date(2024, 1)
+    set(5, '01'); set(6, dependency); set(7, '2'); set(8, receipt_date); set(9, '2'); set(10, 'A'); set(11, 'E')
+    set(12, receipt_date); set(13, receipt_date); set(14, provisional ? 'Processed with Action Required' : 'Processed')
+
+    // household: shared last name and address
+    let state = draw(scenario.state) ?? pick(Object.keys(isir_mock_places))
+    let [city, zip] = isir_mock_places[state] ?? [`${state} City`, '00000']
+    let last_name = pick(_isir_last_names), street = `${int(100, 9999)} ${pick(['Main', 'Oak', 'Park', 'Elm'])} Street`
+
+    let roles = dependent
+        ? ['student', 'parent', married && 'parent_spouse']
+        : ['student', married && 'student_spouse']
+    let birth_years = {student: dependent || provisional ? int(2004, 2006) : int(1985, 1999),
+        student_spouse: int(1985, 1999), parent: int(1965, 1980), parent_spouse: int(1965, 1980)}
+
+    for (let role of roles.filter(Boolean)) {
+        let {identity: i} = _isir_mock_persons[role]
+        let first_name = pick(_isir_first_names)
+        set(i, first_name); set(i+1, pick('ABCDEFGHJKLMNPRSTW')); set(i+2, last_name)
+        set(i+4, date(birth_years[role])); set(i+5, `666${String(int(1, 999999)).padStart(6, '0')}`)
+        set(i+7, `555${String(int(0, 9999999)).padStart(7, '0')}`)
+        set(i+8, `${first_name}.${last_name}.${hex(4)}@example.com`.toLowerCase())
+        set(i+9, street); set(i+10, city); set(i+11, state); set(i+12, zip); set(i+13, 'US')
+    }
+
+    // student non-financial and demographic information
+    let marital_status = draw(scenario.marital_status)
+    set(40, !dependent && marital_status || (married && !dependent ? '2' : '1')); set(41, dependent ? '1' : pick('123')); set(42, '2'); set(43, '2')
+    if (dependents) set(46, '1')
+    else set(52, '1') // personal circumstances: none of the above
+    set(53, '2'); set(59, provisional ? '1' : '2'); set(60, '2')
+    set(63, '1'); set(65, state); set(66, `${birth_years.student + 1}01`)
+    set(67, pick('123')); set(68, '2'); set(69, '1')
+    set(70, `${city} High School`); set(71, city); set(72, state)
+    set(84, '1') // federal benefits: none of the above
+    set(108, scenario.college ?? '001002')
+
+    let family_size = draw(scenario.family_size) ?? (dependent
+        ? (married ? 3 : 2) + int(0, 2)
+        : (married ? 2 : 1) + dependents)
+    if (dependent) {
+        set(180, marital_status || (married ? '3' : pick('157'))); set(181, state); set(182, `${int(1990, 2015)}01`)
+        set(183, family_size); set(184, '1'); set(194, '1')
+    } else if (!provisional) {
+        set(61, family_size); set(62, '1')
+    }
+
+    // consent, signature, and match results of each contributor and the student
+    let consent_date = date(2024, 1)
+    let signers = roles.filter(role => role && !(joint && /_spouse$/.test(role)))
+    for (let role of signers) {
+        let p = _isir_mock_persons[role]
+        set(p.consent, '1'); set(p.signature, '1'); set(p.signature + 1, consent_date)
+        set(p.affirmation, '1'); set(p.consent_date, consent_date); set(p.signature_source, '2'); set(p.ssa_match, '4')
+    }
+    set(287, 'FT99999'); set(300, '4'); set(560, '7'); set(562, 'A'); set(577, '1')
+
+    // finances of contributors, with a smaller income of a dependent student
+    let range = true === scenario.pell ? [0, 40000] : false === scenario.pell ? [90000, 300000] : [0, 300000]
+    let agi = draw(scenario.agi) ?? int(... range)
+    const tax_for = role => (scenario.tax?.trim ? scenario.tax : scenario.tax?.[role]) || 'fti'
+
+    if (provisional) {
+        // tax information is retrieved, but no SAI is calculated while rejected
+        isir_frame = _isir_mock_finances(isir_frame, 'student', tax_for('student'),
+            {agi, filing_status: '1', exemptions: 1, dependents: 0})
+        set(568, '003135'); set(576, '1') // provisionally independent; see isir_comment_codes
+        return isir_frame
+    }
+
+    let [first, second] = signers.filter(role => 'student' != role || !dependent)
+    let shares = second ? [[first, 0.6], [second, 0.4]] : [[first, 1]]
+    if (dependent) shares.push(['student', int(0, 8000) / (agi || 1)])
+
+    for (let [role, share] of shares) {
+        let filing_status = joint ? '2' : second ? '3' : family_size > 1 && 'student' != role ? '4' : '1'
+        let exemptions = role == first ? family_size - (second ? 1 : 0) : 1
+        isir_frame = _isir_mock_finances(isir_frame, role, tax_for(role),
+            {agi: Math.round(agi * share), filing_status, exemptions, dependents: exemptions - (joint ? 2 : 1)})
+    }
+
+    // computed SAI, FPS worksheet, total income, and Pell fields
+    set(20, dependent ? 'A' : dependents ? 'C' : 'B')
+    let {sai, worksheet} = isir_compute_sai(isir_frame)
+    for (let [key, value] of Object.entries(worksheet))
+        set(key.slice(2), Math.round(value))
+    set(18, sai)
+
+    let pell = isir_compute_pell(isir_frame)
+    set(22, pell.max_pell_indicator); set(23, pell.min_pell_indicator); set(571, pell.eligible ? 'Y' : '')
+    return isir_frame
+}
+
+// Fill the tax information of one person from FTI (FTI-M section) or as manually entered
+function _isir_mock_finances(isir_frame, role, tax, {agi, filing_status, exemptions, dependents}) {
+    let p = _isir_sai_persons[role], m = _isir_mock_persons[role]
+    const set = (idx, value) => null != idx &&
+        (isir_frame = isir_field_update(isir_record_fields[idx], isir_frame, `${value}`))
+
+    let earned = agi, tax_paid = Math.round(Math.max(0, agi - 15000) * 0.12)
+    if ('nonfiler' == tax) {
+        set(m.filed, '2'); set(m.not_filed[0], m.not_filed[1])
+        set(p.ftim, '2022'); set(p.ftim + 19, '214') // no return on file
+    } else if ('manual' == tax) {
+        set(m.filed, '1'); set(m.filing_status, filing_status)
+        for (let key of ['tax_exempt', 'ira', 'ira_rollover', 'pension', 'pension_rollover', 'ira_deductible', 'education_credits'])
+            set(p[key], 0)
+        set(p.earned, earned); set(p.agi, agi); set(p.tax_paid, tax_paid)
+        set(p.ftim, '2022'); set(p.ftim + 19, '206') // partial delivery of content
+    } else {
+        set(p.ftim, '2022'); set(p.ftim + 1, filing_status); set(p.ftim + 2, agi)
+        set(p.ftim + 3, exemptions); set(p.ftim + 4, Math.max(0, dependents))
+        set(p.ftim + 5, earned); set(p.ftim + 6, tax_paid)
+        for (let offset = 7; offset <= 12; offset++) set(p.ftim + offset, 0)
+        for (let offset = 13; offset <= 18; offset++) set(p.ftim + offset, '2') // schedules
+        set(p.ftim + 19, '200') // successful request
+    }
+
+    // additional financial information is reported on the FAFSA in all cases
+    for (let key of ['college_grants', 'foreign_income', 'child_support', 'investments', 'business_farm'])
+        set(p[key], 0)
+    set(p.cash, Math.round(agi * 0.05))
+    return isir_frame
+}
+
+// Seedable pseudo-random number generator (mulberry32); string seeds are hashed using FNV-1a
+function _isir_mock_rng(seed) {
+    if ('string' == typeof seed) {
+        let hash = 0x811c9dc5
+        for (let ch of seed)
+            hash = Math.imul(hash ^ ch.codePointAt(0), 0x01000193)
+        seed = hash
+    }
+    let state = seed >>> 0
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0
+        let t = Math.imul(state ^ (state >>> 15), 1 | state)
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+    }
+}
+
+//****************************
+// ISIR batch validation reports
+//
+
+/**
+ * Validate a batch of ISIR frames using {@link isir_load_report}, reporting issues by ISIR and field
+ * with counts by field and issue code, along with the aid-eligibility blockers of {@link isir_eligibility_blockers}.
+ * Export using {@link isir_validation_report_csv}, {@link isir_validation_report_html}, or `JSON.stringify`.
+ *
+ * @param {Iterable} isir_frames - ISIR frames, or entries `{text, file?, line?}` as from {@link aiter_isir_frames}
+ * @param {*} opt - {profile} of {@link isir_validation_profiles}; {rules} as for {@link isir_load_report};
+ *   {blockers} false to skip aid-eligibility blockers
+ * @returns {*} - {totals: {isirs, invalid_isirs, errors, warnings, held_isirs}, counts: [{field, name, code, severity, count}],
+ *   isirs: [{isir, file?, line?, fafsa_uuid, student_name, valid, issues: [{field, name, value, severity, code, issue}],
+ *   blockers: [{blocker, severity, note, fields}]}]}, where `isir` is the 1-based position of the ISIR frame in the batch
+ *   and `held_isirs` counts ISIRs with any 'hold' blocker; `blockers` is null for ISIRs of layouts other than 2024-25,
+ *   as blockers are unavailable for them
+ */
+export function isir_validation_report(isir_frames, opt={}) {
+    let report = {totals: {isirs: 0, invalid_isirs: 0, errors: 0, warnings: 0, held_isirs: 0}, counts: [], isirs: []}
+    let counts = new Map()
+
+    for (let entry of isir_frames) {
+        let {text: isir_frame, file, line} = 'string' == typeof entry ? {text: entry} : entry
+        let isir_validation = new Map() // collect validation errors and warnings by field
+        let mode = opt.profile ? {profile: opt.profile, mode: isir_validation} : isir_validation
+        isir_load_report(isir_frame, {...opt, mode})
+
+        let issues = []
+        for (let [field, res] of isir_validation)
+            for (let {code, severity, issue} of res.issue_codes ?? [])
+                if (_isir_severity_reported(severity)) {
+                    issues.push({field: field.idx, name: field.name || null, value: res.value, severity, code, issue})
+
+                    let key = `${field.idx} ${code}`
+                    if (!counts.has(key))
+                        counts.set(key, {field: field.idx, name: field.name || null, code, severity, count: 0})
+                    counts.get(key).count++
+                }
+
+        let {fields, award_year} = isir_layout_for(isir_frame, opt)
+        const read = idx => fields[idx] ? isir_field_read_raw(fields[idx], isir_frame).trim() : ''
+        let valid = !issues.some(e => 'error' == e.severity)
+        let blockers =
+            false === opt.blockers ? []
+            : '2024-25' != award_year ? null // eligibility blockers read 2024-25 field positions
+            : isir_eligibility_blockers(isir_frame)
+        report.isirs.push({isir: ++report.totals.isirs, file, line,
+            fafsa_uuid: read(2), student_name: [read(25), read(27)].filter(Boolean).join(' '),
+            valid, issues, blockers})
+
+        if (!valid) report.totals.invalid_isirs++
+        if (blockers?.some(e => 'hold' == e.severity)) report.totals.held_isirs++
+        for (let {severity} of issues)
+            report.totals['error' == severity ? 'errors' : 'warnings']++
+    }
+
+    report.counts = Array.from(counts.values())
+        .sort((a, b) => a.field - b.field || a.code.localeCompare(b.code))
+    return report
+}
+
+/**
+ * Export a report of {@link isir_validation_report} as CSV, with one row for each issue of each ISIR, followed by
+ * one row for each of its aid-eligibility blockers using the triggering field, `hold` or `review` severity, and blocker name as code
+ * @param {*} report
+ * @param {*} opt - {header} false to omit the header row, as when appending the rows of further reports
+ * @returns {string} - CSV text using CR+LF line endings
+ */
+export function isir_validation_report_csv(report, opt={}) {
+    let rows = false === opt.header ? []
+        : [['ISIR', 'File', 'Line', 'FAFSA UUID', 'Student Name', 'Field', 'Name', 'Value', 'Severity', 'Code', 'Issue']]
+    for (let rec of report.isirs) {
+        for (let e of rec.issues)
+            rows.push([rec.isir, rec.file, rec.line, rec.fafsa_uuid, rec.student_name,
+                `f_${e.field}`, e.name, e.value, e.severity, e.code, e.issue])
+        for (let {blocker, severity, note, fields: [e]} of rec.blockers ?? [])
+            rows.push([rec.isir, rec.file, rec.line, rec.fafsa_uuid, rec.student_name,
+                `f_${e.field}`, e.name, e.value, severity, blocker, note])
+    }
+    return rows.map(row => row.map(_isir_csv_value).join(',') + '\r\n').join('')
+}
+
+const _isir_csv_value = value =>
+    null == value ? ''
+    : /[",\r\n]/.test(value = `${value}`) ? `"${value.replace(/"/g, '""')}"`
+    : value
+
+/**
+ * Export a report of {@link isir_validation_report} as a self-contained HTML summary
+ * @param {*} report
+ * @param {*} opt - {title} of the HTML document
+ * @returns {string} - HTML document
+ */
+export function isir_validation_report_html(report, opt={}) {
+    let {title='ISIR Validation Report'} = opt
+    let {totals} = report
+    const esc = _isir_html_escape
+    const table = (hdr, rows) => [
+        '<table>', `<thead><tr>${hdr.map(v => `<th>${esc(v)}</th>`).join('')}</tr></thead>`, '<tbody>',
+        ... rows.map(([severity, ... row]) =>
+            `<tr class="${esc(severity)}">${row.map(v => `<td>${esc(v)}</td>`).join('')}</tr>`),
+        '</tbody>', '</table>']
+
+    let html = [
+        '<!DOCTYPE html>', '<html lang=en>', '<head>', '<meta charset="utf-8" />', `<title>${esc(title)}</title>`,
+        '<style>',
+        'body { font-family: sans-serif; padding: 2rem; }',
+        'table { border-collapse: collapse; margin-bottom: 1rem; }',
+        'th, td { border: 1px solid #ccc; padding: 0.25rem 0.5rem; text-align: left; }',
+        'th { background-color: #e8e8e8; }',
+        'tr.error td:first-child { border-left: 4px solid red; }',
+        'tr.warning td:first-child { border-left: 4px solid goldenrod; }',
+        'tr.hold td:first-child { border-left: 4px solid darkred; }',
+        'tr.review td:first-child { border-left: 4px solid steelblue; }',
+        '</style>', '</head>', '<body>',
+        `<h1>${esc(title)}</h1>`,
+        `<p>${totals.invalid_isirs} of ${totals.isirs} ISIRs failed validation, with ${totals.errors} errors and ${totals.warnings} warnings.</p>`,
+    ]
+    if (totals.held_isirs)
+        html.push(`<p>${totals.held_isirs} of ${totals.isirs} ISIRs have aid-eligibility holds.</p>`)
+
+    if (report.counts.length) {
+        html.push('<h2>Issues by field</h2>', ... table(['Field', 'Name', 'Severity', 'Code', 'Count'],
+            report.counts.map(e => [e.severity, `f_${e.field}`, e.name ?? '(filler)', e.severity, e.code, e.count])))
+    }
+
+    let with_issues = report.isirs.filter(rec => rec.issues.length || null === rec.blockers || rec.blockers?.length)
+    if (with_issues.length)
+        html.push('<h2>Issues by ISIR</h2>')
+    for (let rec of with_issues) {
+        let source = rec.file ? ` (${rec.file}${null != rec.line ? `:${rec.line}` : ''})` : ''
+        html.push(`<h3>ISIR ${rec.isir}: ${esc(rec.student_name || '(no name)')}${esc(source)}</h3>`,
+            `<p>FAFSA UUID: <code>${esc(rec.fafsa_uuid)}</code></p>`)
+        if (null === rec.blockers)
+            html.push('<p>Aid-eligibility blockers are available for 2024-25 ISIRs only.</p>')
+        if (rec.blockers?.length)
+            html.push(... table(['Severity', 'Blocker', 'Note', 'Fields'],
+                rec.blockers.map(e => [e.severity, e.severity, e.blocker, e.note,
+                    e.fields.map(f => `f_${f.field} ${JSON.stringify(f.value)}`).join(', ')])))
+        if (rec.issues.length)
+            html.push(... table(['Field', 'Name', 'Value', 'Severity', 'Code', 'Issue'],
+                rec.issues.map(e => [e.severity, `f_${e.field}`, e.name ?? '(filler)', e.value, e.severity, e.code, e.issue])))
+    }
+
+    html.push('</body>', '</html>', '')
+    return html.join('\n')
+}
+
+const _isir_html_escape = value => `${value ?? ''}`.replace(/[&<>"']/g,
+    ch => ({'&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'})[ch])
+
+
+//****************************
+// ISIR JSON Schema and TypeScript declarations
+//
+
+/**
+ * Generate a JSON Schema (draft 2020-12) describing the structured JSON of {@link isir_load_json},
+ * from the section and field definitions of an award-year layout.
+ * Field values are strings limited to the field length; enum options are listed with their labels
+ * as `oneOf` entries of `{const, title}`, and ranges, dates, and other validation ops as patterns.
+ * Fields are optional to allow the `skip_empty` option, and `<name>_flags` and `<name>_explained`
+ * entries of the `flags` and `codes` options are described next to the fields they apply to.
+ *
+ * @param {*} opt - {layout} award year or layout, defaulting to 2024-25
+ * @returns {*} - JSON Schema object
+ */
+export function isir_json_schema(opt={}) {
+    let layout = isir_layout_for('', opt)
+    const as_schema = node => node.field ? _isir_field_schema(node.field, node.ref) : {
+        type: 'object', additionalProperties: false,
+        properties: Object.fromEntries(Object.entries(node).map(([key, child]) => [key, as_schema(child)]))}
+
+    return {
+        $schema: 'https://json-schema.org/draft/2020-12/schema',
+        title: `ISIR ${layout.award_year}`,
+        description: `Structured JSON of the ${layout.award_year} ISIR Record Layout, as from isir_load_json() of isir-module.js`,
+        ... as_schema(_isir_json_shape(layout)),
+        $defs: {
+            correction_flags: {
+                description: 'Correction, highlight, and verify flags of the field, from the correction section',
+                type: 'object', additionalProperties: false, required: ['correction', 'highlight', 'verify'],
+                properties: {
+                    correction: {oneOf: [{const: '0', title: 'No correction'}, {const: '1', title: 'Corrected'}, {const: '2', title: 'Corrected by system'}]},
+                    highlight: {oneOf: [{const: '0', title: 'Not highlighted'}, {const: '1', title: 'Highlighted'}]},
+                    verify: {oneOf: [{const: '0', title: 'Not selected'}, {const: '1', title: 'Selected for verification'}, {const: '2', title: 'Verified'}]},
+                }},
+            code_explained: {
+                description: 'Comment or reject reason code with its explanation from isir_comment_codes or isir_reject_codes',
+                type: 'object', required: ['code', 'text'],
+                properties: {
+                    code: {type: 'string'},
+                    text: {type: ['string', 'null']},
+                    category: {type: 'string'},
+                    resolve: {type: 'boolean'},
+                    reject: {type: 'string'},
+                    fields: {type: 'array', items: {type: 'integer'}},
+                }},
+        },
+    }
+}
+
+/**
+ * Generate TypeScript declarations (`.d.ts`) of the structured JSON of {@link isir_load_json},
+ * matching {@link isir_json_schema}. Enum fields are typed as unions of their option codes,
+ * and other fields as `string`; each field is documented by its field number, name, and notes.
+ *
+ * @param {*} opt - {layout} award year or layout, defaulting to 2024-25; {name} of the ISIR interface, defaulting to `ISIR`
+ * @returns {string} - TypeScript declarations
+ */
+export function isir_json_dts(opt={}) {
+    let layout = isir_layout_for('', opt)
+    const as_type = (node, indent) => {
+        if (node.field) return _isir_field_ts_type(node.field, node.ref)
+        if (!Object.keys(node).length) return '{}'
+
+        let lines = ['{']
+        for (let [key, child] of Object.entries(node)) {
+            let {field} = child, ts_key = /^[A-Za-z_$][\w$]*$/.test(key) ? key : JSON.stringify(key)
+            if (field && !child.ref) {
+                let doc = [`f_${field.idx} ${_isir_field_title(field)}`, ... field.note].map(ln => ln.replaceAll('*/', '*\\/'))
+                lines.push(`${indent}    /**`, ... doc.map(ln => `${indent}     * ${ln}`.trimEnd()), `${indent}     */`)
+            }
+            lines.push(`${indent}    ${ts_key}?: ${as_type(child, indent+'    ')};`)
+        }
+        lines.push(`${indent}}`)
+        return lines.join('\n')
+    }
+
+    return [
+        `// Structured JSON of the ${layout.award_year} ISIR Record Layout, as from isir_load_json() of isir-module.js`,
+        '',
+        '/** Correction, highlight, and verify flags of the field, from the correction section */',
+        'export interface ISIRCorrectionFlags {',
+        `    correction: '0' | '1' | '2';`,
+        `    highlight: '0' | '1';`,
+        `    verify: '0' | '1' | '2';`,
+        '}',
+        '',
+        '/** Comment or reject reason code with its explanation from isir_comment_codes or isir_reject_codes */',
+        'export interface ISIRCodeExplained {',
+        '    code: string;',
+        '    text: string | null;',
+        '    category?: string;',
+        '    resolve?: boolean;',
+        '    reject?: string;',
+        '    fields?: number[];',
+        '}',
+        '',
+        `/** ISIR ${layout.award_year} */`,
+        `export interface ${opt.name ?? 'ISIR'} ${as_type(_isir_json_shape(layout), '')}`,
+        '',
+    ].join('\n')
+}
+
+// Nested entries by section and field paths, with `{field}` leaves and `{field, ref}` leaves for flags and explanations
+function _isir_json_shape(layout) {
+    let shape = {}, {flag_fields} = _isir_correction_map(layout)
+    const add = (key_path, leaf) => _isir_set_path(shape, key_path, leaf)
+
+    for (let section of layout.sections) {
+        add([... section.path, null]) // section objects, even when only filler
+        for (let field of section.field_list) {
+            if (!field.path) continue // filler
+            let key_path = [... section.path, ... field.path], key = key_path.at(-1)
+            add(key_path, {field})
+            if (flag_fields.has(field))
+                add([... key_path.slice(0, -1), `${key}_flags`], {field, ref: 'correction_flags'})
+            if (null != _isir_codes_explain(field, ''))
+                add([... key_path.slice(0, -1), `${key}_explained`], {field, ref: 'code_explained'})
+        }
+    }
+    return shape
+}
+
+// Field name, or the path of unnamed fields such as the CUI labels of FTI (fields 861 and 942)
+const _isir_field_title = field => field.name ?? field.path.at(-1).replaceAll('_', ' ')
+
+function _isir_field_schema(field, ref) {
+    if ('correction_flags' == ref)
+        return {$ref: '#/$defs/correction_flags'}
+    if ('code_explained' == ref)
+        return {type: 'array', items: {$ref: '#/$defs/code_explained'}}
+
+    let schema = {type: 'string', maxLength: field.len, title: _isir_field_title(field),
+        description: field.note.join('\n'), $comment: `f_${field.idx}, positions ${field.pos_start+1} to ${field.pos_end}`}
+
+    let alternatives = _isir_field_alternatives(field)
+    if (1 == alternatives.length) {
+        let {description, ... alternative} = alternatives[0] // keep the field notes
+        Object.assign(schema, alternative)
+    }
+    else if (alternatives.length)
+        schema.anyOf = alternatives
+    return schema
+}
+
+// Schemas of the values accepted by the validator of a field, as alternatives
+function _isir_field_alternatives(field) {
+    let alternatives, {validate} = field
+    if (!validate)
+        return [] // free-text names and addresses
+    else if (validate === _validate_expect)
+        alternatives = [{const: field.expect}]
+    else if (validate === _validate_correction)
+        alternatives = [{pattern: '^[012][01][012]$'}]
+    else if (validate === _validate_country_codes)
+        alternatives = [{enum: Object.keys(valid_country_codes)}]
+    else if (validate === _validate_state_codes)
+        alternatives = [{enum: Object.keys(valid_state_codes)}]
+    else if (validate === _validate_date)
+        alternatives = [{pattern: _isir_schema_patterns.date}]
+    else if (validate === _validate_yearmonth)
+        alternatives = [{pattern: '^[0-9]{4}(0[1-9]|1[0-2])$'}]
+    else if (validate === _validate_fixed_decimal)
+        alternatives = [{pattern: '^[0-9]*$'}]
+    else if (field.opt_len) {
+        // concatenated options of `opt_len` characters
+        let codes = _isir_field_enum_options(field).map(([code]) => code)
+        alternatives = [{pattern: codes.length ? `^(${codes.join('|')})*$` : `^(.{${field.opt_len}})*$`}]
+    } else alternatives = (field.options ?? []).map(_isir_op_schema)
+
+    if (field.allow_blank && !alternatives.some(e => '' === e.const || e.enum?.includes('')))
+        alternatives.push({const: ''})
+    return alternatives
+}
+
+const _isir_schema_patterns = {
+    date: '^[0-9]{4}(0[1-9]|1[0-2])(0[1-9]|[12][0-9]|3[01])$',
+    numeric: '^[0-9-]+$',
+    alpha: '^[A-Za-z_ -]+$',
+    alphanumeric: '^[0-9A-Za-z_ -]+$',
+    year: '^[0-9]{4}$',
+    ssn: '^[0-9]{9}$',
+    school_code: '^([0BEG][0-9]{5})?$',
+    region_code: '^[0-9]+$',
+    dhs_case_number: '^[0-9]{13}[A-Z]{2}',
+    eti_destination: '^(FT|TG)[0-9A-Za-z]{5}',
+    comment_codes: '^([0-9]{3})*$',
+}
+
+function _isir_op_schema(op) {
+    switch (op.op) {
+        case 'enum':
+            return {oneOf: Object.entries(op.options).map(([code, title]) => ({const: code, title}))}
+        case 'range':
+            return /^0\d/.test(op.min) // zero-padded, e.g. '01' to '99'
+                ? {pattern: `^[0-9]{${op.min.length}}$`, description: `${op.min} to ${op.max}`}
+                : {pattern: op.min.startsWith('-') ? '^-?[0-9]+$' : '^[0-9]+$', description: `${op.min} to ${op.max}`}
+        case 'uuid': // spec compliant when alphanumeric, see `_validate_by_op.uuid`
+            return {pattern: _isir_schema_patterns.alphanumeric}
+        case 'email':
+            return {format: 'email'}
+        default:
+            return {pattern: _isir_schema_patterns[op.op] ?? '^.*$'}
+    }
+}
+
+function _isir_field_ts_type(field, ref) {
+    if ('correction_flags' == ref)
+        return 'ISIRCorrectionFlags'
+    if ('code_explained' == ref)
+        return 'ISIRCodeExplained[]'
+
+    let codes = []
+    for (let alt of _isir_field_alternatives(field)) {
+        if (alt.oneOf) codes.push(... alt.oneOf.map(e => e.const))
+        else if (null != alt.const) codes.push(alt.const)
+        else return 'string' // patterns and long enums of country and state codes
+    }
+    return codes.length ? codes.map(code => `'${code}'`).join(' | ') : 'string'
+}
+
 
 //****************************
 // ISIR field validator logic implementations
@@ -11582,7 +14212,7 @@ export const field_860 = {len: 50, pos_start: 7035, pos_end: 7085,
     ]};
 
 export const field_861 = {len: 11, pos_start: 7085, pos_end: 7096,
-    idx: 861, name: null, 
+    idx: 861, name: null, path: ["FTI_Label_Start"], 
     validate: _validate_expect, allow_blank: true,
     expect: "CUI//SP-TAX", non_content: true,
     note: [
@@ -12680,7 +15310,7 @@ export const field_941 = {len: 3, pos_start: 7545, pos_end: 7548,
     ]};
 
 export const field_942 = {len: 11, pos_start: 7548, pos_end: 7559,
-    idx: 942, name: null, 
+    idx: 942, name: null, path: ["FTI_Label_End"], 
     validate: _validate_expect, allow_blank: true,
     expect: "CUI//SP-TAX", non_content: true,
     note: [
@@ -12769,10 +15399,26 @@ export const isir_record_sections = /* #__PURE__ */ [section_transaction, sectio
 export const isir_module = (namespace=(globalThis.isir_module={})) =>
     Object.assign(namespace, {
       isir_field_read_raw, isir_field_read, isir_field_validate, ISIRValidationError,
-      isir_field_update_raw, isir_field_update, _isir_field_pack_value, _isir_field_raw_splice,
-      isir_blank, isir_model_from,
+      isir_field_update_raw, isir_field_update, isir_field_encode, _isir_field_pack_value, _isir_field_raw_splice,
+      isir_blank, isir_model_from, isir_household_from,
+      isir_layout_register, isir_layouts, isir_layout_for,
       isir_load_report, isir_section_report,
-      isir_load_json, isir_section_json,
+      isir_issue_codes, isir_validation_profiles,
+      isir_record_validate, isir_record_rules,
+      isir_compute_sai, isir_sai_report, isir_sai_tables,
+      isir_compute_pell, isir_pell_report, isir_pell_tables,
+      isir_fti_reconciliation, isir_irs_response_codes,
+      isir_nslds_summary, isir_eligibility_blockers, isir_eligibility_blocker_rules,
+      isir_verification, isir_verification_worksheet_csv, isir_verification_worksheet_html,
+      isir_saig_parse, isir_saig_header, isir_saig_trailer, isir_saig_envelope,
+      aiter_isir_file_lines, aiter_isir_frames,
+      isir_diff, isir_correction_targets, isir_correction_flags, isir_correction_flags_by_field,
+      isir_codes_explain, isir_comment_codes, isir_reject_codes,
+      isir_anonymize, isir_anonymize_report,
+      isir_mock, isir_mock_places, isir_mock_templates, isir_mock_template,
+      isir_validation_report, isir_validation_report_csv, isir_validation_report_html,
+      isir_load_json, isir_section_json, isir_from_json,
+      isir_json_schema, isir_json_dts,
       isir_record_sections, isir_record_fields,
       section_transaction, section_student_identity, section_student_non_financial, section_student_demographic, section_student_financial_manual, section_student_schools, section_student_consent, section_student_spouse_identity, section_student_spouse_financial_manual, section_student_spouse_consent, section_parent_identity, section_parent_non_financial, section_parent_financial_manual, section_parent_consent, section_parent_spouse_identity, section_parent_spouse_financial_manual, section_parent_spouse_consent, section_preparer, section_FPS, section_correction, section_matches, section_NSLDS, section_FTIM, section_student_financial_ftim, section_student_spouse_financial_ftim, section_parent_financial_ftim, section_parent_spouse_financial_ftim, section_total_income,
       field_1, field_2, field_3, field_4, field_5, field_6, field_7, field_8, field_9, field_10, field_11, field_12, field_13, field_14, field_15, field_16, field_17, field_18, field_19, field_20, field_21, field_22, field_23, field_24, field_25, field_26, field_27, field_28, field_29, field_30, field_31, field_32, field_33, field_34, field_35, field_36, field_37, field_38, field_39, field_40, field_41, field_42, field_43, field_44, field_45, field_46, field_47, field_48, field_49, field_50, field_51, field_52, field_53, field_54, field_55, field_56, field_57, field_58, field_59, field_60, field_61, field_62, field_63, field_64, field_65, field_66, field_67, field_68, field_69, field_70, field_71, field_72, field_73, field_74, field_75, field_76, field_77, field_78, field_79, field_80, field_81, field_82, field_83, field_84, field_85, field_86, field_87, field_88, field_89, field_90, field_91, field_92, field_93, field_94, field_95, field_96, field_97, field_98, field_99, field_100, field_101, field_102, field_103, field_104, field_105, field_106, field_107, field_108, field_109, field_110, field_111, field_112, field_113, field_114, field_115, field_116, field_117, field_118, field_119, field_120, field_121, field_122, field_123, field_124, field_125, field_126, field_127, field_128, field_129, field_130, field_131, field_132, field_133, field_134, field_135, field_136, field_137, field_138, field_139, field_140, field_141, field_142, field_143, field_144, field_145, field_146, field_147, field_148, field_149, field_150, field_151, field_152, field_153, field_154, field_155, field_156, field_157, field_158, field_159, field_160, field_161, field_162, field_163, field_164, field_165, field_166, field_167, field_168, field_169, field_170, field_171, field_172, field_173, field_174, field_175, field_176, field_177, field_178, field_179, field_180, field_181, field_182, field_183, field_184, field_185, field_186, field_187, field_188, field_189, field_190, field_191, field_192, field_193, field_194, field_195, field_196, field_197, field_198, field_199, field_200, field_201, field_202, field_203, field_204, field_205, field_206, field_207, field_208, field_209, field_210, field_211, field_212, field_213, field_214, field_215, field_216, field_217, field_218, field_219, field_220, field_221, field_222, field_223, field_224, field_225, field_226, field_227, field_228, field_229, field_230, field_231, field_232, field_233, field_234, field_235, field_236, field_237, field_238, field_239, field_240, field_241, field_242, field_243, field_244, field_245, field_246, field_247, field_248, field_249, field_250, field_251, field_252, field_253, field_254, field_255, field_256, field_257, field_258, field_259, field_260, field_261, field_262, field_263, field_264, field_265, field_266, field_267, field_268, field_269, field_270, field_271, field_272, field_273, field_274, field_275, field_276, field_277, field_278, field_279, field_280, field_281, field_282, field_283, field_284, field_285, field_286, field_287, field_288, field_289, field_290, field_291, field_292, field_293, field_294, field_295, field_296, field_297, field_298, field_299, field_300, field_301, field_302, field_303, field_304, field_305, field_306, field_307, field_308, field_309, field_310, field_311, field_312, field_313, field_314, field_315, field_316, field_317, field_318, field_319, field_320, field_321, field_322, field_323, field_324, field_325, field_326, field_327, field_328, field_329, field_330, field_331, field_332, field_333, field_334, field_335, field_336, field_337, field_338, field_339, field_340, field_341, field_342, field_343, field_344, field_345, field_346, field_347, field_348, field_349, field_350, field_351, field_352, field_353, field_354, field_355, field_356, field_357, field_358, field_359, field_360, field_361, field_362, field_363, field_364, field_365, field_366, field_367, field_368, field_369, field_370, field_371, field_372, field_373, field_374, field_375, field_376, field_377, field_378, field_379, field_380, field_381, field_382, field_383, field_384, field_385, field_386, field_387, field_388, field_389, field_390, field_391, field_392, field_393, field_394, field_395, field_396, field_397, field_398, field_399, field_400, field_401, field_402, field_403, field_404, field_405, field_406, field_407, field_408, field_409, field_410, field_411, field_412, field_413, field_414, field_415, field_416, field_417, field_418, field_419, field_420, field_421, field_422, field_423, field_424, field_425, field_426, field_427, field_428, field_429, field_430, field_431, field_432, field_433, field_434, field_435, field_436, field_437, field_438, field_439, field_440, field_441, field_442, field_443, field_444, field_445, field_446, field_447, field_448, field_449, field_450, field_451, field_452, field_453, field_454, field_455, field_456, field_457, field_458, field_459, field_460, field_461, field_462, field_463, field_464, field_465, field_466, field_467, field_468, field_469, field_470, field_471, field_472, field_473, field_474, field_475, field_476, field_477, field_478, field_479, field_480, field_481, field_482, field_483, field_484, field_485, field_486, field_487, field_488, field_489, field_490, field_491, field_492, field_493, field_494, field_495, field_496, field_497, field_498, field_499, field_500, field_501, field_502, field_503, field_504, field_505, field_506, field_507, field_508, field_509, field_510, field_511, field_512, field_513, field_514, field_515, field_516, field_517, field_518, field_519, field_520, field_521, field_522, field_523, field_524, field_525, field_526, field_527, field_528, field_529, field_530, field_531, field_532, field_533, field_534, field_535, field_536, field_537, field_538, field_539, field_540, field_541, field_542, field_543, field_544, field_545, field_546, field_547, field_548, field_549, field_550, field_551, field_552, field_553, field_554, field_555, field_556, field_557, field_558, field_559, field_560, field_561, field_562, field_563, field_564, field_565, field_566, field_567, field_568, field_569, field_570, field_571, field_572, field_573, field_574, field_575, field_576, field_577, field_578, field_579, field_580, field_581, field_582, field_583, field_584, field_585, field_586, field_587, field_588, field_589, field_590, field_591, field_592, field_593, field_594, field_595, field_596, field_597, field_598, field_599, field_600, field_601, field_602, field_603, field_604, field_605, field_606, field_607, field_608, field_609, field_610, field_611, field_612, field_613, field_614, field_615, field_616, field_617, field_618, field_619, field_620, field_621, field_622, field_623, field_624, field_625, field_626, field_627, field_628, field_629, field_630, field_631, field_632, field_633, field_634, field_635, field_636, field_637, field_638, field_639, field_640, field_641, field_642, field_643, field_644, field_645, field_646, field_647, field_648, field_649, field_650, field_651, field_652, field_653, field_654, field_655, field_656, field_657, field_658, field_659, field_660, field_661, field_662, field_663, field_664, field_665, field_666, field_667, field_668, field_669, field_670, field_671, field_672, field_673, field_674, field_675, field_676, field_677, field_678, field_679, field_680, field_681, field_682, field_683, field_684, field_685, field_686, field_687, field_688, field_689, field_690, field_691, field_692, field_693, field_694, field_695, field_696, field_697, field_698, field_699, field_700, field_701, field_702, field_703, field_704, field_705, field_706, field_707, field_708, field_709, field_710, field_711, field_712, field_713, field_714, field_715, field_716, field_717, field_718, field_719, field_720, field_721, field_722, field_723, field_724, field_725, field_726, field_727, field_728, field_729, field_730, field_731, field_732, field_733, field_734, field_735, field_736, field_737, field_738, field_739, field_740, field_741, field_742, field_743, field_744, field_745, field_746, field_747, field_748, field_749, field_750, field_751, field_752, field_753, field_754, field_755, field_756, field_757, field_758, field_759, field_760, field_761, field_762, field_763, field_764, field_765, field_766, field_767, field_768, field_769, field_770, field_771, field_772, field_773, field_774, field_775, field_776, field_777, field_778, field_779, field_780, field_781, field_782, field_783, field_784, field_785, field_786, field_787, field_788, field_789, field_790, field_791, field_792, field_793, field_794, field_795, field_796, field_797, field_798, field_799, field_800, field_801, field_802, field_803, field_804, field_805, field_806, field_807, field_808, field_809, field_810, field_811, field_812, field_813, field_814, field_815, field_816, field_817, field_818, field_819, field_820, field_821, field_822, field_823, field_824, field_825, field_826, field_827, field_828, field_829, field_830, field_831, field_832, field_833, field_834, field_835, field_836, field_837, field_838, field_839, field_840, field_841, field_842, field_843, field_844, field_845, field_846, field_847, field_848, field_849, field_850, field_851, field_852, field_853, field_854, field_855, field_856, field_857, field_858, field_859, field_860, field_861, field_862, field_863, field_864, field_865, field_866, field_867, field_868, field_869, field_870, field_871, field_872, field_873, field_874, field_875, field_876, field_877, field_878, field_879, field_880, field_881, field_882, field_883, field_884, field_885, field_886, field_887, field_888, field_889, field_890, field_891, field_892, field_893, field_894, field_895, field_896, field_897, field_898, field_899, field_900, field_901, field_902, field_903, field_904, field_905, field_906, field_907, field_908, field_909, field_910, field_911, field_912, field_913, field_914, field_915, field_916, field_917, field_918, field_919, field_920, field_921, field_922, field_923, field_924, field_925, field_926, field_927, field_928, field_929, field_930, field_931, field_932, field_933, field_934, field_935, field_936, field_937, field_938, field_939, field_940, field_941, field_942, field_943, field_944, field_945, field_946, field_947,
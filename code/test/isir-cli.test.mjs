@@ -0,0 +1,185 @@
+#!/usr/bin/env node
+// Tests of isir-cli.mjs commands against generated ISIR files.
+//
+// Usage:
+//   node --test code/test/
+
+import { describe, it, before, after, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'node:fs'
+import os from 'node:os'
+import path from 'node:path'
+import {spawnSync} from 'node:child_process'
+
+import * as isir_module from '../isir-module.js'
+import { isir_cli } from '../isir-cli.mjs'
+const { isir_record_fields } = isir_module
+
+let tmp_dir
+before(() => tmp_dir = fs.mkdtempSync(path.join(os.tmpdir(), 'isir-cli-test-')))
+after(() => fs.rmSync(tmp_dir, {recursive: true, force: true}))
+
+// Write lines as a CR+LF ISIR file in the temporary directory, returning its path
+function write_isir_file(name, lines) {
+    let file = path.join(tmp_dir, name)
+    fs.writeFileSync(file, lines.map(ln => ln+'\r\n').join(''))
+    return file
+}
+
+// Run the command-line interface, returning {code, output, errors} with `--output` file content and console errors
+async function run_cli(argv) {
+    let output = path.join(tmp_dir, 'output.txt'), errors = []
+    fs.rmSync(output, {force: true})
+    let console_error = mock.method(console, 'error', (...args) => errors.push(args.join(' ')))
+    try {
+        let code = await isir_cli([... argv, '--output', output, '--quiet'])
+        return {code, output: fs.existsSync(output) ? fs.readFileSync(output, 'utf-8') : '', errors}
+    } finally { console_error.mock.restore() }
+}
+
+// Mock ISIR frame listing College codes as College #1, #2, ...
+function isir_for_colleges(seed, ... colleges) {
+    return colleges.reduce((isir, college, idx) =>
+        isir_module.isir_field_update_raw(isir_record_fields[108+idx], isir, college),
+        isir_module.isir_mock({college: colleges[0]}, {seed}))
+}
+
+const saig = {mailbox: 'TG99999', message_class: 'IDAP25OP'}
+
+
+describe('isir split', () => {
+    const isir_a = isir_for_colleges(1, '001002')
+    const isir_b = isir_for_colleges(2, '003004')
+    const isir_ab = isir_for_colleges(3, '001002', '003004')
+
+    it('lists the College codes of ISIRs listing a single College', async () => {
+        let file = write_isir_file('split-list.txt', isir_module.isir_saig_envelope([isir_a, isir_b, isir_ab], saig))
+        let {code, output} = await run_cli(['split', file])
+        assert.equal(code, 0)
+        assert.deepEqual(JSON.parse(output), ['001002', '003004'])
+    })
+
+    it('keeps ISIRs listing only a selected College, with the SAIG trailer count of included ISIRs', async () => {
+        let file = write_isir_file('split.txt', isir_module.isir_saig_envelope([isir_a, isir_b, isir_ab], saig))
+        let {code, output} = await run_cli(['split', '--college', '001002', file])
+        assert.equal(code, 0)
+        let lines = output.split('\r\n')
+        assert.deepEqual(lines.slice(1, -2), [isir_a])
+        assert.equal(isir_module.isir_saig_parse(lines.at(-2)).count, 1)
+    })
+
+    it('reports SAIG trailers with a non-standard mailbox as envelope issues', async () => {
+        let trailer = 'O*N95XX1       ,CLS=IDAP25OP,XXX,BAT=,        2'.padEnd(isir_a.length, ' ')
+        let file = write_isir_file('split-mailbox.txt', [isir_module.isir_saig_header(saig), isir_a, isir_b, trailer])
+        let {code, output, errors} = await run_cli(['split', '--college', '001002', file])
+        assert.equal(code, 1)
+        assert.equal(output.split('\r\n').at(-2), trailer, 'trailer kept unchanged')
+        assert.equal(errors.length, 1)
+        assert.match(errors[0], /split-mailbox.txt:4: Invalid SAIG mailbox "XX1"/)
+    })
+})
+
+
+describe('isir validate', () => {
+    it('lists aid-eligibility blockers with their triggering field', async () => {
+        let isir_hold = isir_module.isir_field_update_raw(isir_record_fields[569], isir_for_colleges(4, '001002'), 'J')
+        let file = write_isir_file('validate.txt', [isir_hold])
+        let {output} = await run_cli(['validate', '--no-rules', file])
+        assert.match(output, /validate.txt:1: hold: drug_abuse_hold f_569 "J": Record placed on hold/)
+    })
+
+    it('fails upon SAIG headers with a non-standard mailbox', async () => {
+        let header = 'O*N05XX1       ,CLS=IDAP25OP,XXX,BAT=,'.padEnd(isir_module.isir_blank().length, ' ')
+        let file = write_isir_file('validate-mailbox.txt', [header, isir_for_colleges(5, '001002')])
+        let {code, output} = await run_cli(['validate', '--no-rules', file])
+        assert.equal(code, 1)
+        assert.match(output, /validate-mailbox.txt:1: Invalid SAIG mailbox "XX1"/)
+        assert.match(output, /1 SAIG headers or trailers failed validation/)
+    })
+})
+
+
+describe('isir validate reports', () => {
+    // a hypothetical 2025-26 layout, detected from Year Indicator '6'
+    before(() => isir_module.isir_layout_register({award_year: '2025-26',
+        fields: isir_record_fields.map(field => 1 === field?.idx ? {... field, expect: '6'} : field),
+        sections: isir_module.isir_record_sections}))
+    after(() => isir_module.isir_layouts().delete('2025-26'))
+
+    const isir_hold = isir_module.isir_field_update_raw(isir_record_fields[569], isir_for_colleges(6, '001002'), 'J')
+    const isir_invalid = isir_module.isir_field_update_raw(isir_record_fields[64], isir_for_colleges(7, '001002'), ' 12345')
+    const isir_hold_2526 = '6' + isir_hold.slice(1)
+
+    it('lists aid-eligibility blockers of 2024-25 ISIRs only', async () => {
+        let file = write_isir_file('validate-2526.txt', [isir_hold, isir_hold_2526])
+        let {output} = await run_cli(['validate', '--no-rules', file])
+        assert.match(output, /validate-2526.txt:1: hold: drug_abuse_hold/)
+        assert.doesNotMatch(output, /validate-2526.txt:2: hold/)
+        assert.match(output, /1 of 2 ISIR frames have aid-eligibility holds/)
+    })
+
+    it('exports the same CSV and HTML reports as isir_validation_report', async () => {
+        let file = write_isir_file('validate-report.txt', [isir_hold, isir_invalid, isir_hold_2526])
+        let report = isir_module.isir_validation_report(
+            [isir_hold, isir_invalid, isir_hold_2526].map((text, idx) => ({file, line: idx+1, text})), {rules: true})
+
+        let {code, output} = await run_cli(['validate', '--format', 'csv', file])
+        assert.equal(code, 1)
+        assert.equal(output, isir_module.isir_validation_report_csv(report))
+        assert.doesNotMatch(output, /^3,.*,hold,/m)
+
+        ;({output} = await run_cli(['validate', '--format', 'html', file]))
+        assert.equal(output, isir_module.isir_validation_report_html(report))
+    })
+})
+
+describe('isir to-json and from-json', () => {
+    it('round-trips ISIR frames', async () => {
+        let isir_frames = [isir_for_colleges(6, '001002'), isir_for_colleges(7, '003004')]
+        let file = write_isir_file('to-json.txt', isir_module.isir_saig_envelope(isir_frames, saig))
+
+        let to_json = await run_cli(['to-json', file])
+        assert.equal(to_json.code, 0)
+        let json_file = path.join(tmp_dir, 'isirs.ld-json')
+        fs.writeFileSync(json_file, to_json.output)
+
+        let from_json = await run_cli(['from-json', json_file])
+        assert.equal(from_json.code, 0)
+        assert.deepEqual(from_json.output.split(/\r?\n/).filter(Boolean), isir_frames)
+    })
+
+    it('reports misspelled field names as input errors', async () => {
+        let json_file = path.join(tmp_dir, 'typo.ld-json')
+        fs.writeFileSync(json_file, JSON.stringify({student: {identity: {Frist_Name: 'Typo'}}})+'\n')
+        let {code, errors} = await run_cli(['from-json', json_file])
+        assert.equal(code, 2)
+        assert.match(errors.join('\n'), /typo.ld-json:1: Unknown ISIR JSON entries: student.identity.Frist_Name/)
+    })
+})
+
+
+describe('isir mock', () => {
+    it('generates reproducible ISIR frames', async () => {
+        let argv = ['mock', '--scenario', '{"dependency": "I"}', '--seed', '3', '--count', '2']
+        let {code, output} = await run_cli(argv)
+        assert.equal(code, 0)
+        assert.equal((await run_cli(argv)).output, output)
+        assert.deepEqual(output.split(/\r?\n/).filter(Boolean), [
+            isir_module.isir_mock({dependency: 'I'}, {seed: 3}),
+            isir_module.isir_mock({dependency: 'I'}, {seed: 4})])
+    })
+})
+
+
+describe('isir command', () => {
+    it('runs from a directory whose name has a space', () => {
+        let dir = path.join(tmp_dir, 'isir tools')
+        fs.mkdirSync(dir)
+        for (let name of ['isir-cli.mjs', 'isir-module.js'])
+            fs.copyFileSync(new URL(`../${name}`, import.meta.url), path.join(dir, name))
+
+        let res = spawnSync(process.execPath, [path.join(dir, 'isir-cli.mjs'), 'mock', '--seed', '3'], {encoding: 'utf-8', timeout: 60000})
+        assert.equal(res.status, 0, res.stderr)
+        assert.deepEqual(res.stdout.split(/\r?\n/).filter(Boolean), [isir_module.isir_mock({}, {seed: 3})])
+    })
+})
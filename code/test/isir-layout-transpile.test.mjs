@@ -0,0 +1,135 @@
+#!/usr/bin/env node
+// Tests of isir-layout-transpile.mjs transpiling ISIR Record Layout worksheet rows.
+//
+// Usage:
+//   node --test code/test/
+
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'node:fs'
+
+import * as isir_module from '../isir-module.js'
+import {
+    isir_layout_from_rows, isir_layout_transpile, isir_layout_from_module,
+    isir_layout_diff, isir_layout_emit, isir_layout_module_section,
+} from '../isir-layout-transpile.mjs'
+
+const module_text = fs.readFileSync(new URL('../isir-module.js', import.meta.url), 'utf-8')
+
+// Worksheet rows of cell text, as read from the FSA ISIR Record Layout workbook: a title row,
+// merged section header rows, a repeated column header row, and multi-line cells
+const layout_rows = JSON.parse(fs.readFileSync(new URL('./fixtures/isir-layout-rows.json', import.meta.url), 'utf-8'))
+
+const college_note = [
+    '000000 to 099999',
+    '0, B, E, and G valid for 1st position',
+    'Must be a number of a school certified for participation in EDE only',
+    'Blank']
+
+const expected_fields = [
+    {len: 1, pos_start: 0, pos_end: 1, idx: 1, name: 'Year Indicator', path: ['Year_Indicator'],
+        validate: '_validate_expect', expect: '5', non_content: true,
+        note: ['5, will always be “5” (for 2024–25)']},
+    {len: 36, pos_start: 1, pos_end: 37, idx: 2, name: 'FAFSA UUID', path: ['FAFSA_UUID'],
+        validate: '_validate_options', options: [{op: 'uuid'}], allow_blank: true,
+        note: ['Alphanumeric']},
+    {len: 1, pos_start: 111, pos_end: 112, idx: 6, name: 'Dependency Model', path: ['Dependency_Model'],
+        validate: '_validate_options', options: [{op: 'enum', options: {
+            D: 'Dependent', I: 'Independent', Z: 'Provisional Independent',
+            X: 'Rejected Dependent', Y: 'Rejected Independent'}}],
+        note: ['D = Dependent', 'I = Independent', 'Z = Provisional Independent',
+            'X = Rejected Dependent', 'Y = Rejected Independent']},
+    {len: 8, pos_start: 337, pos_end: 345, idx: 29, name: 'Date of Birth', path: ['Date_of_Birth'],
+        fafsa_category: ['1e'],
+        validate: '_validate_date', options: [{op: 'range', min: '19000101', max: '20251231'}], allow_blank: true,
+        note: [
+            '19000101 to current date',
+            'Numeric within valid range.',
+            'Format is CCYYMMDD where MM is 01-12, (CC is 19 and YY is 00 to 99) or (CC is 20 and YY is 00-24). Valid day range depending on month (see table below).']},
+    {len: 9, pos_start: 345, pos_end: 354, idx: 30, name: 'Social Security Number', path: ['Social_Security_Number'],
+        fafsa_category: ['1f'],
+        extra: [
+            'Pseudo SSNs created in a cycle prior to 2024–25 will begin with 666',
+            'Pseudo SSNs created in the 2024–25 cycle will begin with 000'],
+        validate: '_validate_options', options: [{op: 'ssn', min: '000010001', max: '999999999'}],
+        note: ['000010001 to 999999999']},
+    {len: 6, pos_start: 874, pos_end: 880, idx: 108, name: 'College #1', path: ['College_1'],
+        fafsa_category: ['23a', 'Colleges'],
+        allow_blank: true, validate: '_validate_options', options: [{op: 'school_code'}],
+        note: college_note},
+    {len: 6, pos_start: 880, pos_end: 886, idx: 109, name: 'College #2', path: ['College_2'],
+        fafsa_category: ['23b'],
+        allow_blank: true, validate: '_validate_options', options: [{op: 'school_code'}],
+        note: college_note},
+    {len: 7, pos_start: 4623, pos_end: 4630, idx: 638, name: 'NSLDS Pell Lifetime Eligibility Used',
+        path: ['NSLDS_Pell_Lifetime_Eligibility_Used'],
+        validate: '_validate_fixed_decimal', divisor: 100000,
+        note: [
+            'Numeric',
+            'Format is 99v99999',
+            'Blank',
+            '“v” is an implied decimal and is not included in the output.',
+            'Example: 01.00000 is 0100.000%']},
+    {len: 50, pos_start: 7035, pos_end: 7085, idx: 860, name: null, extra: 'Filler', non_content: true,
+        note: ['For Federal Student Aid use only']},
+    {len: 11, pos_start: 7085, pos_end: 7096, idx: 861, name: null,
+        validate: '_validate_expect', expect: 'CUI//SP-TAX', non_content: true, allow_blank: true,
+        note: ['Exact string: “CUI//SP-TAX”', 'Blank']},
+]
+
+const expected_sections = [
+    ['Transaction Identification', ['transaction_identification'], [1, 2, 6]],
+    ['Student Demographic, Identity, and Contact Information',
+        ['student_demographic_identity_and_contact_information'], [29, 30]],
+    ['Student School Choices', ['student_school_choices'], [108, 109]],
+    ['NSLDS Information', ['nslds_information'], [638]],
+    ['Student FTI-M Information', ['student_fti_m_information'], [860, 861]],
+]
+
+describe('isir_layout_transpile', () => {
+    const transpiled = isir_layout_transpile(isir_layout_from_rows(layout_rows))
+
+    it('reads fields across merged section headers and repeated column headers', () => {
+        assert.deepEqual(
+            transpiled.sections.map(s => [s.section, s.path, s.field_list.map(f => f.idx)]),
+            expected_sections)
+    })
+
+    it('derives field definitions from the layout rows', () => {
+        assert.deepEqual(transpiled.fields.filter(Boolean), expected_fields)
+    })
+
+    it('carries forward curated paths and aliases', () => {
+        let current = {sections: [{section: 'Transaction Identification', path: ['transaction']}], fields: []}
+        current.fields[6] = {path: ['student', 'dependency_model'], alias: 'dependency_model'}
+        let res = isir_layout_transpile(isir_layout_from_rows(layout_rows), current)
+        assert.deepEqual(res.sections[0].path, ['transaction'])
+        assert.deepEqual(res.fields[6], {...expected_fields[2],
+            path: ['student', 'dependency_model'], alias: 'dependency_model'})
+    })
+
+    it('diffs a transpiled layout against the current definitions', () => {
+        let current = {sections: [{section: 'Transaction Identification', path: ['transaction']}], fields: []}
+        current.fields[6] = {path: ['student', 'dependency_model']}
+        let res = isir_layout_transpile(isir_layout_from_rows(layout_rows), current)
+        assert.deepEqual(isir_layout_diff(transpiled, res), [
+            {idx: 6, name: 'Dependency Model', kind: 'changed', changes: [
+                {attr: 'path', current: ['Dependency_Model'], transpiled: ['student', 'dependency_model']}]},
+            {section: 'Transaction Identification', kind: 'changed', changes: [
+                {attr: 'path', current: ['transaction_identification'], transpiled: ['transaction']}]},
+        ])
+    })
+})
+
+describe('isir_layout_emit', () => {
+    it('emits the transpiled section of isir-module.js exactly', () => {
+        let {section_text, module_exports} = isir_layout_module_section(module_text)
+        assert.equal(isir_layout_emit(isir_layout_from_module(isir_module), module_exports), section_text)
+    })
+
+    it('reads the namespace export list regardless of line endings', () => {
+        let {module_exports} = isir_layout_module_section(module_text.replaceAll('\r\n', '\n'))
+        assert.deepEqual(module_exports, isir_layout_module_section(module_text).module_exports)
+        assert.match(module_exports[0], /^ {6}isir_field_read_raw,/)
+    })
+})
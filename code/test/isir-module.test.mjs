@@ -0,0 +1,1057 @@
+#!/usr/bin/env node
+// Tests of isir-module.js validators against the test ISIR files of this repository.
+//
+// Usage:
+//   node --test code/test/
+//
+// Validation issues of every test ISIR file are compared against `snapshots/isir-load-report.json`.
+// After an intended validation change, update the snapshot using:
+//   ISIR_UPDATE_SNAPSHOTS=1 node --test code/test/
+
+import { describe, it, before, after, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'node:fs'
+import path from 'node:path'
+
+import * as isir_module from '../isir-module.js'
+const { isir_record_fields, isir_field_validate } = isir_module
+
+const repo_root = path.resolve(import.meta.dirname, '../..')
+const test_isir_dirs = ['test-isir-files', 'contributed-isir-files/large-isir-files']
+const snapshot_path = path.join(import.meta.dirname, 'snapshots', 'isir-load-report.json')
+
+// ISIR files of the repository, as paths relative to the repository root
+function test_isir_files() {
+    return test_isir_dirs.flatMap(dir =>
+        fs.readdirSync(path.join(repo_root, dir))
+            .filter(name => /\.txt$/.test(name))
+            .sort()
+            .map(name => `${dir}/${name}`))
+}
+
+// Mock ISIR frame with raw field values set from `[idx, value]` entries
+function with_fields(entries, isir_frame=isir_module.isir_mock({}, {seed: 1})) {
+    return entries.reduce((isir, [idx, value]) =>
+        isir_module.isir_field_update_raw(isir_record_fields[idx], isir, value), isir_frame)
+}
+
+// Summarize validation issues of an ISIR file as {frames, fields: {f_<idx>: {<issue>: count}}}
+async function isir_file_issues(file) {
+    let summary = {frames: 0, fields: {}}
+    for await (let {text: isir_frame} of isir_module.aiter_isir_frames(fs.createReadStream(path.join(repo_root, file)))) {
+        summary.frames++
+        let isir_validation = new Map() // collect validation errors by field
+        isir_module.isir_load_report(isir_frame, {mode: isir_validation, rules: true})
+        for (let [field, {issues}] of isir_validation) {
+            let by_issue = summary.fields[`f_${field.idx}`] ??= {}
+            for (let issue of issues)
+                by_issue[issue] = 1 + (by_issue[issue] ?? 0)
+        }
+    }
+    summary.fields = Object.fromEntries(Object.entries(summary.fields)
+        .sort(([a], [b]) => a.slice(2) - b.slice(2)))
+    return summary
+}
+
+
+describe('test ISIR files', () => {
+    // uuid validation warns about spec compliant, but unformatted UUIDs
+    before(() => mock.method(console, 'warn', () => {}))
+
+    let snapshot = fs.existsSync(snapshot_path) ? JSON.parse(fs.readFileSync(snapshot_path, 'utf-8')) : {}
+    let update = !!process.env.ISIR_UPDATE_SNAPSHOTS
+
+    for (let file of test_isir_files()) {
+        it(`matches validation issues by field of ${file}`, async () => {
+            let actual = await isir_file_issues(file)
+            assert.ok(actual.frames > 0, 'no ISIR frames found')
+
+            if (update) {
+                snapshot[file] = actual
+                fs.mkdirSync(path.dirname(snapshot_path), {recursive: true})
+                fs.writeFileSync(snapshot_path, JSON.stringify(snapshot, null, 2)+'\n')
+            } else {
+                assert.ok(snapshot[file], `missing snapshot of ${file}; run with ISIR_UPDATE_SNAPSHOTS=1`)
+                assert.deepEqual(actual, snapshot[file])
+            }
+        })
+    }
+})
+
+
+describe('isir_field_validate validators', () => {
+    before(() => mock.method(console, 'warn', () => {}))
+
+    const validate = (idx, value) => isir_field_validate(isir_record_fields[idx], value, 'ignore')
+    const assert_valid = (idx, value, result=value) => {
+        let res = validate(idx, value)
+        assert.equal(res.invalid, false, `f_${idx} ${JSON.stringify(value)}`)
+        assert.deepEqual(res.result, result)
+    }
+    const assert_invalid = (idx, value, msg) =>
+        assert.deepEqual(validate(idx, value).issues, ['invalid field value'], msg ?? `f_${idx} ${JSON.stringify(value)}`)
+
+    it('uuid', () => { // FAFSA UUID
+        let uuid = '5bc3919b-7e3c-4b07-9e4c-b40c3417f31d'
+        assert_valid(2, uuid, {uuid})
+        assert_valid(2, 'NOT-A-UUID') // alphanumeric is spec compliant
+        assert_invalid(2, '5bc3919b@7e3c')
+    })
+
+    it('ssn', () => { // Social Security Number
+        assert_valid(30, '666123456')
+        assert_valid(30, '000010001')
+        assert_invalid(30, '000010000', 'below minimum')
+        assert_invalid(30, '66612345', 'too short')
+        assert_invalid(30, '66612345A', 'not numeric')
+    })
+
+    it('range', () => {
+        assert_valid(64, '000012345', 12345) // A-Number, 000000001 to 999999999
+        assert_invalid(64, '000000000')
+        assert_invalid(64, 'ABC')
+        assert_valid(18, '-1500', -1500) // Student Discretionary Data, -1500 to 999999
+    })
+
+    it('enum', () => { // Dependency Model
+        assert_valid(6, 'I', 'Independent')
+        assert_invalid(6, 'W')
+        assert_invalid(6, 'toString', 'inherited properties are not options')
+    })
+
+    it('comment_codes', () => {
+        assert_valid(568, '003135146', ['003', '135', '146'])
+        assert_invalid(568, '0031')
+        assert_invalid(568, '003 135')
+    })
+
+    it('dhs_case_number', () => {
+        assert_valid(559, '1234567890123AB')
+        assert_invalid(559, '123456789012AB')
+        assert_invalid(559, '1234567890123ab')
+    })
+
+    it('eti_destination', () => {
+        assert_valid(287, 'FT99999')
+        assert_valid(287, 'TG5A1B2')
+        assert_invalid(287, 'XX99999')
+        assert_invalid(287, 'FT999')
+    })
+})
+
+
+describe('isir_field_validate dates', () => {
+    // NSLDS Pell Disbursement Date (1)
+    const validate_date = sz_date => isir_field_validate(isir_record_fields[648], sz_date, 'ignore')
+
+    it('accepts calendar dates as ISO dates', () => {
+        assert.deepEqual(validate_date('20240229').result, '2024-02-29')
+        assert.deepEqual(validate_date('20241231').result, '2024-12-31')
+        assert.deepEqual(isir_field_validate(isir_record_fields[29], '20040229', 'ignore').result, '2004-02-29') // date of birth
+    })
+
+    it('rejects invalid dates', () => {
+        for (let sz_date of ['20230229', '20241301', '2024013', 'ABCDEFGH'])
+            assert.deepEqual(validate_date(sz_date).issues, ['invalid field value'], sz_date)
+    })
+
+    it('accepts blank dates of optional fields', () => {
+        assert.equal(validate_date('').invalid, false)
+    })
+})
+
+
+describe('isir_field_validate padding detection', () => {
+    const field_a_number = isir_record_fields[64] // range 000000001 to 999999999
+    const field_last_name = isir_record_fields[27]
+
+    it('reports left-padding spaces', () => {
+        let res = isir_field_validate(field_last_name, '  Reyes', new Map())
+        assert.equal(res.value, 'Reyes')
+        assert.deepEqual(res.issues, ['not left justified'])
+        assert.ok(res.invalid)
+    })
+
+    it('ignores right-padding spaces', () => {
+        let res = isir_field_validate(field_last_name, 'Reyes    ', new Map())
+        assert.equal(res.value, 'Reyes')
+        assert.ok(!res.invalid)
+    })
+
+    it('accepts zero-padded values of the field width', () => {
+        let res = isir_field_validate(field_a_number, '000012345', new Map())
+        assert.equal(res.result, 12345)
+        assert.equal(res.invalid, false)
+    })
+
+    it('retries zero-padded values without leading zeros', () => {
+        let res = isir_field_validate(isir_record_fields[40], '01', new Map()) // student marital status
+        assert.equal(res.value, '1')
+        assert.equal(res.invalid, false)
+    })
+
+    it('collects failed validation by field using a Map', () => {
+        let isir_validation = new Map()
+        let res = isir_field_validate(field_a_number, '00000000X', isir_validation)
+        assert.deepEqual(res.issues, ['invalid field value'])
+        assert.equal(isir_validation.get(field_a_number), res)
+    })
+
+    it('throws ISIRValidationError without a mode', () => {
+        assert.throws(() => isir_field_validate(field_a_number, ' 12345'), isir_module.ISIRValidationError)
+    })
+})
+
+
+describe('isir_field_encode', () => {
+    const encode = (idx, value, opt) => isir_module.isir_field_encode(isir_record_fields[idx], value, opt)
+
+    it('encodes booleans using the option codes', () => {
+        assert.equal(encode(581, true), 'True')
+        assert.equal(encode(581, false), 'False')
+        assert.equal(encode(46, true), '1')
+        assert.throws(() => encode(6, true), /Unable to encode boolean for ISIR field f_6/)
+    })
+
+    it('encodes false as blank for "Yes" only checkboxes', () => {
+        // e.g. FALSE cells of spreadsheets
+        assert.equal(encode(46, false), '')
+        assert.equal(encode(52, false), '')
+        assert.throws(() => encode(22, false), /Unable to encode boolean/)
+    })
+
+    it('encodes dates, numbers, and option labels', () => {
+        assert.equal(encode(29, new Date('2001-02-03')), '20010203')
+        assert.equal(encode(66, new Date('2001-02-03')), '200102')
+        assert.equal(encode(95, -12.6), '-13')
+        assert.equal(encode(5, 1), '01')
+        assert.equal(encode(638, 5.5), '550000')
+        assert.equal(encode(6, 'Independent'), 'I')
+        assert.equal(encode(6, 'I'), 'I')
+        assert.equal(encode(38, 'usa'), 'US')
+        assert.equal(encode(36, 'ny'), 'NY')
+        assert.throws(() => encode(95, NaN), /Unable to encode number/)
+    })
+
+    it('encodes blanks as the field default, generating UUIDs', () => {
+        assert.equal(encode(95, ''), '')
+        assert.equal(encode(95, null), '')
+        assert.match(encode(2, '', {generate: true}), /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/)
+    })
+
+    it('encodes values assigned to the ISIR model', () => {
+        let model = isir_module.isir_model_from(isir_module.isir_mock({}, {seed: 1}))
+        model.student.non_financial.Child_or_Other_Dependents = true
+        assert.equal(model.f_46.value, '1')
+        model.student.non_financial.Child_or_Other_Dependents = false
+        assert.equal(isir_module.isir_field_read_raw(isir_record_fields[46], model.$[0]).trim(), '')
+        model.transaction.Dependency_Model = 'Independent'
+        model.student.identity.Date_of_Birth = new Date('2001-02-03')
+        assert.deepEqual([model.f_6.value, model.f_29.value], ['I', '20010203'])
+    })
+})
+
+describe('validation profiles', () => {
+    const field_family_size = isir_record_fields[61] // range 0 to 99
+    const field_a_number = isir_record_fields[64] // range 000000001 to 999999999
+    const field_last_name = isir_record_fields[27]
+
+    it('reports issue codes with severities', () => {
+        let res = isir_field_validate(field_a_number, ' 0000000X', new Map())
+        assert.deepEqual(res.issue_codes.map(e => [e.code, e.severity]),
+            [['not_left_justified', 'error'], ['invalid_value', 'error']])
+        assert.equal(res.severity, 'error')
+    })
+
+    it('checks zero padding of numeric fields in the strict profile only', () => {
+        assert.equal(isir_field_validate(field_family_size, '01', new Map()).invalid, false)
+
+        let isir_validation = new Map()
+        let res = isir_field_validate(field_family_size, '01', {profile: 'strict', mode: isir_validation})
+        assert.deepEqual(res.issues, ['zero padded'])
+        assert.ok(res.invalid)
+        assert.equal(isir_validation.get(field_family_size), res)
+    })
+
+    it('does not check zero padding of zero padded ranges or text', () => {
+        for (let [field, value] of [[field_a_number, '000012345'], [isir_record_fields[30], '012345678'], [isir_record_fields[37], '07102']])
+            assert.ok(!isir_field_validate(field, value, {profile: 'strict'}).invalid, `f_${field.idx}`)
+    })
+
+    it('collects warnings without failing validation in the lenient profile', () => {
+        let isir_validation = new Map()
+        let res = isir_field_validate(field_last_name, '  Reyes', {profile: 'lenient', mode: isir_validation})
+        assert.equal(res.severity, 'warning')
+        assert.equal(res.invalid, false)
+        assert.deepEqual(res.issues, ['not left justified'])
+        assert.equal(isir_validation.get(field_last_name), res)
+    })
+
+    it('reports record-level rules as warnings in the lenient profile', () => {
+        let isir_frame = isir_module.isir_field_update(isir_record_fields[52], isir_module.isir_mock({}, {seed: 1}), '1')
+        isir_frame = isir_module.isir_field_update(isir_record_fields[44], isir_frame, '1')
+        let [violation] = isir_module.isir_record_validate(isir_frame, {mode: {profile: 'lenient', mode: 'ignore'}})
+        assert.equal(violation.rule.rule, 'student_personal_circumstances_none')
+        assert.equal(violation.severity, 'warning')
+        assert.throws(() => isir_module.isir_record_validate(isir_frame), isir_module.ISIRValidationError)
+    })
+
+    it('rejects unknown profiles', () => {
+        for (let profile of ['unknown', 'constructor', 42, true])
+            assert.throws(() => isir_field_validate(field_last_name, 'Reyes', {profile}), /Unknown ISIR validation profile/,
+                JSON.stringify(profile))
+        assert.ok(!isir_field_validate(field_last_name, 'Reyes', {profile: {zero_padded: 'error'}}).invalid)
+    })
+})
+
+
+describe('isir_validation_report', () => {
+    const isir_valid = isir_module.isir_mock({}, {seed: 1})
+    const isir_invalid = isir_module.isir_field_update_raw(isir_record_fields[64], isir_valid, ' 12345')
+
+    it('reports issues by ISIR with counts by field and issue code', () => {
+        let report = isir_module.isir_validation_report([isir_valid, {text: isir_invalid, file: 'test.txt', line: 2}])
+        assert.deepEqual(report.totals, {isirs: 2, invalid_isirs: 1, errors: 1, warnings: 0, held_isirs: 0})
+        assert.deepEqual(report.counts, [{field: 64, name: 'A-Number', code: 'not_left_justified', severity: 'error', count: 1}])
+
+        let [rec_valid, rec_invalid] = report.isirs
+        assert.equal(rec_valid.valid, true)
+        assert.equal(rec_invalid.file, 'test.txt')
+        assert.equal(rec_invalid.fafsa_uuid, isir_module.isir_field_read_raw(isir_record_fields[2], isir_invalid))
+        assert.deepEqual(rec_invalid.issues.map(e => [e.field, e.code]), [[64, 'not_left_justified']])
+    })
+
+    it('exports CSV and HTML', () => {
+        let report = isir_module.isir_validation_report([isir_invalid])
+        let [hdr, row, end] = isir_module.isir_validation_report_csv(report).split('\r\n')
+        assert.equal(hdr, 'ISIR,File,Line,FAFSA UUID,Student Name,Field,Name,Value,Severity,Code,Issue')
+        assert.match(row, /^1,,,[0-9a-f-]{36},[A-Za-z]+ [A-Za-z]+,f_64,A-Number,12345,error,not_left_justified,not left justified$/)
+        assert.equal(end, '')
+
+        let html = isir_module.isir_validation_report_html(report, {title: 'Report <test>'})
+        assert.match(html, /<title>Report &lt;test&gt;<\/title>/)
+        assert.match(html, /1 of 1 ISIRs failed validation/)
+    })
+})
+
+describe('isir_codes_explain', () => {
+    const {isir_comment_codes, isir_reject_codes} = isir_module
+    const codes_of = list => list.map(({code}) => code)
+
+    it('explains the comment and reject codes of provisionally independent mock ISIRs', () => {
+        let {comments, rejects} = isir_module.isir_codes_explain(isir_module.isir_mock({dependency: 'Z'}, {seed: 1}))
+        assert.deepEqual(comments, [
+            {code: '003', text: null, ... isir_comment_codes['003']},
+            {code: '135', text: null, ... isir_comment_codes['135']}])
+        assert.deepEqual(rejects, [{code: '1', text: null, ... isir_reject_codes['1']}])
+        assert.match(comments[0].text, /provisionally independent/)
+    })
+
+    it('explains every reject code of the FSA test ISIRs along with its comment code', async () => {
+        let rejected = new Map()
+        for await (let {text: isir_frame} of isir_module.aiter_isir_frames(
+                fs.createReadStream(path.join(repo_root, 'test-isir-files/IDSA25OP-20240308.txt')))) {
+            let {comments, rejects} = isir_module.isir_codes_explain(isir_frame)
+            for (let {code, reject} of comments)
+                if (reject) assert.ok(codes_of(rejects).includes(reject), `comment ${code} without reject ${reject}`)
+            for (let {code, text} of rejects) {
+                assert.notEqual(text, null, `reject ${code}`)
+                assert.ok(comments.some(c => code == c.reject), `reject ${code} without its comment code`)
+                rejected.set(code, (rejected.get(code) ?? 0) + 1)
+            }
+            // rejected dependent (X) or independent (Y and provisionally independent Z) students
+            let dependency = isir_module.isir_field_read_raw(isir_record_fields[6], isir_frame)
+            if (rejects.length)
+                assert.ok(codes_of(comments).includes('X' == dependency ? '134' : '135'), dependency)
+        }
+        assert.deepEqual([... rejected.keys()].sort(), ['1', '10', '14', '25', '35', '36', '38', '7', '8'])
+    })
+
+    it('explains the Pell Grant comment codes by SAI', async () => {
+        for await (let {text: isir_frame} of isir_module.aiter_isir_frames(
+                fs.createReadStream(path.join(repo_root, 'test-isir-files/IDSA25OP-20240308.txt')))) {
+            let comments = codes_of(isir_module.isir_codes_explain(isir_frame).comments)
+            let sai = isir_module.isir_field_read_raw(isir_record_fields[18], isir_frame).trim()
+            // Pell Grants are awarded to students with an SAI up to the maximum Pell Grant
+            let {max_pell} = isir_module.isir_pell_tables
+            if (comments.includes('147')) assert.ok(+sai > max_pell, sai)
+            if (comments.includes('148')) assert.ok(+sai <= max_pell, sai)
+        }
+    })
+
+    it('leaves text null for codes missing from the catalogs', () => {
+        let isir_frame = with_fields([[568, '999003'], [576, '1 Z']])
+        let {comments, rejects} = isir_module.isir_codes_explain(isir_frame)
+        assert.deepEqual(comments[0], {code: '999', text: null})
+        assert.deepEqual(codes_of(comments), ['999', '003'])
+        assert.deepEqual(rejects[1], {code: 'Z', text: null})
+        assert.equal(rejects[0].text, isir_reject_codes['1'].text)
+    })
+
+    it('adds the explanations to isir_load_json with the codes option', () => {
+        let isir_frame = isir_module.isir_mock({dependency: 'Z'}, {seed: 1})
+        let {comments, rejects} = isir_module.isir_codes_explain(isir_frame)
+        let {matches} = isir_module.isir_load_json(isir_frame, {mode: 'ignore', codes: true})
+        assert.deepEqual(matches.Comment_Codes_explained, comments)
+        assert.deepEqual(matches.Reject_Reason_Codes_explained, rejects)
+        assert.equal(isir_module.isir_load_json(isir_frame, {mode: 'ignore'}).matches.Comment_Codes_explained, undefined)
+    })
+})
+
+describe('isir_from_json', () => {
+    const isir_frame = isir_module.isir_mock({dependency: 'D'}, {seed: 2})
+
+    it('round-trips isir_load_json, including flags and code explanations', () => {
+        let obj = isir_module.isir_load_json(isir_frame, {mode: 'ignore', flags: true, codes: true})
+        assert.equal(isir_module.isir_from_json(JSON.stringify(obj)), isir_frame)
+    })
+
+    it('builds ISIR frames from hand-edited field paths', () => {
+        let obj = isir_module.isir_load_json(isir_frame, {mode: 'ignore'})
+        obj.student.identity.First_Name = 'Edited'
+        let isir_edited = isir_module.isir_from_json(obj)
+        assert.equal(isir_module.isir_field_read(isir_record_fields[25], isir_edited), 'Edited')
+    })
+
+    it('accepts the flat list of {idx, value} entries', () => {
+        let isir_flat = isir_module.isir_from_json([{idx: 25, value: 'Flat'}], {rules: false})
+        assert.equal(isir_module.isir_field_read(isir_record_fields[25], isir_flat), 'Flat')
+    })
+
+    it('throws upon unknown entries', () => {
+        assert.throws(() => isir_module.isir_from_json({student: {identity: {Frist_Name: 'Typo'}}}),
+            /Unknown ISIR JSON entries: student.identity.Frist_Name/)
+    })
+
+    it('builds ISIR frames without validation for mode false', () => {
+        let isir_unchecked = isir_module.isir_from_json({student: {identity: {First_Name: 'Unchecked'}}}, false)
+        assert.equal(isir_module.isir_field_read_raw(isir_record_fields[25], isir_unchecked).trim(), 'Unchecked')
+    })
+
+    it('writes explicit blank fields as blank', () => {
+        let isir_blank = isir_module.isir_from_json({student: {financial_ftim: {FTI_Label_Start: ''}}}, {mode: 'ignore'})
+        assert.equal(isir_module.isir_field_read_raw(isir_record_fields[861], isir_blank).trim(), '')
+    })
+
+    describe('round-trips isir_load_json of the test ISIR files', () => {
+        before(() => mock.method(console, 'warn', () => {}))
+
+        for (let file of test_isir_files()) {
+            it(file, async () => {
+                for await (let {text: isir_frame, line} of isir_module.aiter_isir_frames(fs.createReadStream(path.join(repo_root, file)))) {
+                    let obj = isir_module.isir_load_json(isir_frame, {mode: 'ignore'})
+                    assert.equal(isir_module.isir_from_json(obj, {mode: 'ignore'}), isir_frame, `line ${line}`)
+                }
+            })
+        }
+    })
+})
+
+describe('isir_json_schema', () => {
+    const schema = isir_module.isir_json_schema()
+
+    // Checks the subset of JSON Schema keywords used by `isir_json_schema`, returning paths of failures
+    function schema_failures(sub, value, key_path='') {
+        if (sub.$ref) sub = schema.$defs[sub.$ref.split('/').at(-1)]
+        let failures = []
+        if ('object' == sub.type && 'object' != typeof value) return [key_path]
+        if ('string' == sub.type && ('string' != typeof value || value.length > sub.maxLength)) return [key_path]
+        if ((sub.pattern && !new RegExp(sub.pattern).test(value))
+            || ('const' in sub && sub.const !== value)
+            || (sub.enum && !sub.enum.includes(value)))
+            return [key_path]
+        for (let alternatives of [sub.oneOf, sub.anyOf].filter(Boolean))
+            if (!alternatives.some(alt => 0 == schema_failures(alt, value, key_path).length))
+                return [key_path]
+        for (let [key, entry] of Object.entries(sub.properties ? value : {}))
+            failures.push(... sub.properties[key]
+                ? schema_failures(sub.properties[key], entry, `${key_path}.${key}`)
+                : [`${key_path}.${key}`])
+        for (let [idx, entry] of sub.items ? value.entries() : [])
+            failures.push(... schema_failures(sub.items, entry, `${key_path}[${idx}]`))
+        return failures
+    }
+
+    it('describes isir_load_json output, including flags and code explanations', () => {
+        let isir_frame = isir_module.isir_field_update(isir_record_fields[333], isir_module.isir_mock({}, {seed: 3}), '110')
+        let obj = isir_module.isir_load_json(isir_frame, {mode: 'ignore', flags: true, codes: true})
+        assert.deepEqual(schema_failures(schema, obj), [])
+
+        obj.transaction.Dependency_Model = 'Q'
+        obj.student.identity.Unknown_Name = ''
+        assert.deepEqual(schema_failures(schema, obj), ['.transaction.Dependency_Model', '.student.identity.Unknown_Name'])
+    })
+
+    it('lists enum options with labels', () => {
+        let {Dependency_Model} = schema.properties.transaction.properties
+        assert.equal(Dependency_Model.maxLength, 1)
+        assert.deepEqual(Dependency_Model.oneOf[0], {const: 'D', title: 'Dependent'})
+    })
+
+    it('generates matching TypeScript declarations', () => {
+        let dts = isir_module.isir_json_dts()
+        assert.match(dts, /^export interface ISIR \{$/m)
+        assert.match(dts, /^ {8}Dependency_Model\?: 'D' \| 'I' \| 'Z' \| 'X' \| 'Y';$/m)
+        assert.match(dts, /^ {12}First_Name_flags\?: ISIRCorrectionFlags;$/m)
+        assert.match(dts, /^ {16}"1"\?: \{$/m)
+    })
+})
+
+describe('isir_sai_report', () => {
+    // The FPS output of this FSA test file leaves the Student Contribution from Assets (field 328)
+    // of dependent students blank, and its SAI omits it, while the 2024-25 SAI guide assesses the
+    // net worth of dependent students at 20%. Only that difference is tolerated.
+    const fps_tables = {... isir_module.isir_sai_tables, dependent_student_asset_rate: 0}
+
+    it('agrees with the SAI and worksheet fields of the FSA test ISIRs, except dependent student assets', async () => {
+        let file = path.join(repo_root, 'test-isir-files/IDSA25OP-20240308.txt')
+        let disagreements = [], computed = 0, student_assets = 0
+        for await (let {text: isir_frame, line} of isir_module.aiter_isir_frames(fs.createReadStream(file))) {
+            let report = isir_module.isir_sai_report(isir_frame)
+            if (report.formula) computed++
+
+            let f_328 = report.find(({field}) => 328 == field.idx)
+            if ('A' == report.formula && null == f_328?.value && f_328?.computed) {
+                student_assets++
+                report = isir_module.isir_sai_report(isir_frame, {tables: fps_tables})
+            }
+            for (let {field, value, computed} of report)
+                disagreements.push(`line ${line} f_${field.idx}: ${value} != ${computed}`)
+        }
+        assert.ok(computed > 70)
+        assert.ok(student_assets > 0)
+        assert.deepEqual(disagreements, [])
+    })
+
+    it('assesses the net worth of dependent students at 20%', () => {
+        let {worksheet} = isir_module.isir_compute_sai(with_fields([[105, '1000'], [106, '500'], [107, '']]))
+        assert.equal(worksheet.f_326, 1500)
+        assert.equal(worksheet.f_327, 0)
+        assert.equal(worksheet.f_328, 300)
+    })
+
+    it('uses FTI-M values only when they apply to the person', () => {
+        const student_income = entries => isir_module.isir_compute_sai(with_fields(
+            [[40, '1'], [862, '2022'], [863, '1'], [864, '40000'], [881, '200'], [95, '38000'], [88, '1'], ... entries])).worksheet.f_944
+        let [fti, manual] = [student_income([]), student_income([[881, '203']])]
+        assert.equal(fti - manual, 2000)
+        assert.equal(student_income([[581, 'True']]), manual)
+        assert.equal(student_income([[863, '2']]), manual) // joint return, but not married
+    })
+})
+
+describe('isir_compute_pell', () => {
+    // poverty line of 19720 for a family of two and 24860 for a family of three
+    const max_pell = scenario => isir_module.isir_compute_pell(
+        isir_module.isir_mock({state: 'NY', tax: 'fti', ... scenario}, {seed: 1}), {sai: 0}).max_pell_indicator
+
+    it('checks single parents against 225% of the poverty line', () => {
+        const single_parent = agi => max_pell({contributors: 1, family_size: 2, marital_status: '1', agi})
+        assert.equal(single_parent(30000), '2') // also within 175%
+        assert.equal(single_parent(40000), '2')
+        assert.equal(single_parent(50000), '')
+        assert.equal(max_pell({dependency: 'I', dependents: 1, family_size: 2, marital_status: '1', agi: 30000}), '2')
+    })
+
+    it('checks other contributors against 175% of the poverty line', () => {
+        assert.equal(max_pell({contributors: 2, family_size: 3, agi: 40000}), '3')
+        assert.equal(max_pell({contributors: 2, family_size: 3, agi: 50000}), '')
+        assert.equal(max_pell({dependency: 'I', family_size: 1, marital_status: '1', agi: 20000}), '3')
+    })
+
+    it('marks nonfilers first', () => {
+        assert.equal(max_pell({contributors: 1, family_size: 2, marital_status: '1', tax: 'nonfiler'}), '1')
+    })
+})
+
+describe('isir_nslds_summary', () => {
+    let isir_frame = isir_module.isir_mock({}, {seed: 4})
+    for (let [idx, value] of [[593, 'N'], [633, 'E'], [638, '0550000'], [583, 'Y'], [584, '012345'], [601, 'N/A'],
+            [643, '02'], [648, '20230815'], [650, '3698'], [651, '0050000'],
+            [721, '01'], [724, 'D1'], [725, '3500'], [740, '20220901']])
+        isir_frame = isir_module.isir_field_update_raw(isir_record_fields[idx], isir_frame, value)
+
+    it('reads flags, loan limits, and Pell lifetime eligibility', () => {
+        let nslds = isir_module.isir_nslds_summary(isir_frame)
+        assert.deepEqual(nslds.flags.defaulted_loan, {code: 'N', label: 'No'})
+        assert.deepEqual(nslds.loan_limits.undergraduate_subsidized, {code: 'E', label: 'Exceeded limit'})
+        assert.equal(nslds.pell.lifetime_eligibility_used, 550)
+        assert.equal(nslds.pell.lifetime_eligibility_remaining, 50)
+        assert.deepEqual(nslds.overpayments[0], {program: 'pell_grant', flag: {code: 'Y', label: 'Overpayment'}, contact: '012345'})
+        assert.equal(nslds.aggregate.combined_outstanding_principal_balance, null)
+    })
+
+    it('lists award blocks with content by date', () => {
+        let nslds = isir_module.isir_nslds_summary(isir_frame)
+        assert.equal(nslds.pell.awards.length, 1)
+        assert.deepEqual(nslds.teach.awards, [])
+        assert.equal(nslds.loans.length, 1)
+        assert.deepEqual(nslds.timeline.map(rec => [rec.program, rec.date, rec.sequence]),
+            [['loan', '2022-09-01', 1], ['pell_grant', '2023-08-15', 2]])
+        assert.equal(nslds.pell.awards[0].percent_eligibility_used, 50)
+        assert.equal(nslds.loans[0].net_amount, 3500)
+    })
+})
+
+describe('isir_eligibility_blockers', () => {
+    it('lists holds before reviews, with triggering and related fields', () => {
+        let isir_frame = with_fields([[298, '1'], [593, 'Y'], [583, 'Y'], [584, '012345']])
+        let blockers = isir_module.isir_eligibility_blockers(isir_frame)
+        assert.deepEqual(blockers.map(e => [e.severity, e.blocker]),
+            [['hold', 'defaulted_loan'], ['hold', 'pell_grant_overpayment'], ['review', 'incarcerated_applicant']])
+        assert.deepEqual(blockers[1].fields.map(e => [e.field, e.value, e.label]),
+            [[583, 'Y', 'Overpayment'], [584, '012345', null]])
+    })
+
+    it('skips blockers resolved by other fields', () => {
+        assert.deepEqual(isir_module.isir_eligibility_blockers(with_fields([[593, 'Y'], [596, 'Y']])), [])
+        let blockers = isir_module.isir_eligibility_blockers(with_fields([[557, 'N'], [558, 'P']]))
+        assert.deepEqual(blockers.map(e => e.blocker), ['dhs_secondary_pending'])
+    })
+
+    it('are included in validation reports', () => {
+        let report = isir_module.isir_validation_report([with_fields([[569, 'J']])])
+        assert.equal(report.totals.held_isirs, 1)
+        assert.deepEqual(report.isirs[0].blockers.map(e => e.blocker), ['drug_abuse_hold'])
+        assert.match(isir_module.isir_validation_report_csv(report), /,f_569,Drug Abuse Hold Indicator,J,hold,drug_abuse_hold,/)
+    })
+})
+
+describe('isir_verification', () => {
+    it('resolves verify flags to the data fields they describe', () => {
+        let isir_frame = with_fields([[296, 'V4'], [297, 'Y'], [580, 'C'], [400, '001'], [401, '102']])
+        let verification = isir_module.isir_verification(isir_frame)
+        assert.equal(verification.selected, true)
+        assert.deepEqual(verification.group, {code: 'V4', label: 'Custom Verification Group'})
+        assert.equal(verification.selection_change.code, 'C')
+        assert.deepEqual(verification.items.map(e => [e.field, e.path.join('.'), e.status, e.flag_field]), [
+            [95, 'student.financial_manual.Adjusted_Gross_Income', 'selected', 400],
+            [96, 'student.financial_manual.Income_Tax_Paid', 'verified', 401]])
+        assert.equal(verification.items[0].value, isir_module.isir_field_read_raw(isir_record_fields[95], isir_frame).trim())
+    })
+
+    it('skips correction and highlight flags without verify flags', () => {
+        let verification = isir_module.isir_verification(with_fields([[400, '110']]))
+        assert.equal(verification.selected, false)
+        assert.deepEqual(verification.items, [])
+    })
+
+    it('exports worksheets of selected ISIRs', () => {
+        let verifications = [
+            {file: 'a.txt', line: 1, ... isir_module.isir_verification(with_fields([[296, 'V1'], [297, 'Y']]))},
+            {file: 'a.txt', line: 2, ... isir_module.isir_verification(with_fields([[297, 'N']]))},
+            {file: 'a.txt', line: 3, ... isir_module.isir_verification(with_fields([[400, '001']]))}]
+        let csv = isir_module.isir_verification_worksheet_csv(verifications).split('\r\n')
+        assert.equal(csv.length, 4)
+        assert.match(csv[1], /^a\.txt,1,.*,Y,V1,Standard Verification Group$/)
+        assert.match(csv[2], /^a\.txt,3,.*,f_95,Adjusted Gross Income,student\.financial_manual\.Adjusted_Gross_Income,[^,]*,selected,,$/)
+
+        let html = isir_module.isir_verification_worksheet_html(verifications)
+        assert.equal(html.match(/<section>/g).length, 2)
+        assert.match(html, /<tr class="selected"><td>f_95<\/td>/)
+    })
+})
+
+describe('isir_fti_reconciliation', () => {
+    const student = reconciliation => reconciliation.persons.find(e => 'student' == e.person)
+
+    it('pairs manual and FTI-M values, flagging disagreements', () => {
+        let isir_frame = with_fields([[581, ''], [862, '2022'], [881, '200'], [864, '40000'], [95, '38000'], [863, '1'], [88, '1']])
+        let rec = student(isir_module.isir_fti_reconciliation(isir_frame))
+        assert.equal(rec.source, 'fti')
+        assert.equal(rec.returned_tax_year, 2022)
+        let by_element = Object.fromEntries(rec.items.map(e => [e.element, e]))
+        assert.deepEqual([by_element.agi.manual, by_element.agi.fti, by_element.agi.agree],
+            [{field: 95, value: 38000}, {field: 864, value: 40000}, false])
+        assert.equal(by_element.filing_status.agree, true)
+        assert.equal(rec.disagreements, rec.items.filter(e => false === e.agree).length)
+    })
+
+    it('uses manually entered values per IRS response code, tax year, and field 581', () => {
+        const source = entries => {
+            let rec = student(isir_module.isir_fti_reconciliation(with_fields([[862, '2022'], [881, '200'], [864, '40000'], ... entries])))
+            return [rec.source, rec.response?.fti ?? null]
+        }
+        assert.deepEqual(source([]), ['fti', true])
+        assert.deepEqual(source([[881, '206']]), ['manual', false])
+        assert.deepEqual(source([[862, '2021']]), ['manual', true])
+        assert.deepEqual(source([[581, 'True']]), ['manual', true])
+        assert.deepEqual(source([[40, '1'], [863, '2']]), ['manual', true])
+    })
+})
+
+describe('isir_layout_register', () => {
+    // a hypothetical 2025-26 layout, detected from Year Indicator '6'
+    before(() => isir_module.isir_layout_register({award_year: '2025-26',
+        fields: isir_record_fields.map(field => 1 === field?.idx ? {... field, expect: '6'} : field),
+        sections: isir_module.isir_record_sections}))
+    after(() => isir_module.isir_layouts().delete('2025-26'))
+
+    const isir_frame = isir_module.isir_mock({}, {seed: 1})
+    const isir_frame_2526 = '6' + isir_frame.slice(1)
+
+    it('detects the layout of each ISIR frame', () => {
+        assert.equal(isir_module.isir_layout_for(isir_frame).award_year, '2024-25')
+        assert.equal(isir_module.isir_layout_for(isir_frame_2526).award_year, '2025-26')
+    })
+
+    it('throws upon analyzing ISIRs of layouts other than 2024-25', () => {
+        for (let analyzer of ['isir_record_validate', 'isir_compute_sai', 'isir_compute_pell', 'isir_fti_reconciliation',
+                'isir_nslds_summary', 'isir_eligibility_blockers', 'isir_verification', 'isir_codes_explain', 'isir_household_from']) {
+            assert.doesNotThrow(() => isir_module[analyzer](isir_frame), analyzer)
+            assert.throws(() => isir_module[analyzer](isir_frame_2526),
+                new RegExp(`^Error: ${analyzer} supports the 2024-25 ISIR layout only; found 2025-26$`))
+        }
+    })
+
+    it('reports eligibility blockers as unavailable in validation reports of other layouts', () => {
+        let isir_held = with_fields([[569, 'J']], isir_frame)
+        let report = isir_module.isir_validation_report([isir_held, '6' + isir_held.slice(1)])
+        assert.deepEqual(report.isirs.map(rec => rec.blockers?.map(e => e.severity) ?? null), [['hold'], null])
+        assert.equal(report.totals.held_isirs, 1)
+
+        assert.equal(isir_module.isir_validation_report_csv(report).split('\r\n').filter(row => /,hold,/.test(row)).length, 1)
+        assert.match(isir_module.isir_validation_report_html(report),
+            /<h3>ISIR 2: .*<p>Aid-eligibility blockers are available for 2024-25 ISIRs only\.<\/p>/s)
+    })
+})
+
+describe('isir_household_from', () => {
+    it('groups contributor fields, listing present contributors', () => {
+        let isir_frame = isir_module.isir_mock_template(6, {seed: 2})
+        let household = isir_module.isir_household_from(isir_frame)
+        assert.deepEqual(household.contributors.map(e => e.person), ['student', 'parent', 'parent_spouse'])
+        assert.equal(household.student_spouse.present, false)
+
+        let {parent} = household
+        assert.equal(parent.identity.First_Name.value, isir_module.isir_field_read_raw(isir_record_fields[166], isir_frame).trim())
+        assert.deepEqual(Object.keys(parent.consent), ['Consent_to_Retrieve_and_Disclose_FTI', 'Affirmation_Status', 'Date_Consent_Granted'])
+        assert.equal(parent.signature.Signature_Source.value, isir_module.isir_field_read_raw(isir_record_fields[290], isir_frame))
+        assert.deepEqual(Object.keys(parent.matches), ['SSA_Match_Status', 'Transunion_Match_Status'])
+        assert.equal(parent.financial_manual.Adjusted_Gross_Income.value,
+            isir_module.isir_field_read_raw(isir_record_fields[205], isir_frame).trim())
+        assert.equal(parent.demographic, null)
+    })
+
+    it('assigns through the shared ISIR model', () => {
+        let household = isir_module.isir_household_from(isir_module.isir_mock({}, {seed: 1}))
+        household.parent.consent.Consent_to_Retrieve_and_Disclose_FTI = 'Not Granted'
+        household.student.matches.SSA_Match_Status = '2'
+        assert.equal(isir_module.isir_field_read_raw(isir_record_fields[218], household.model.$[0]), '2')
+        assert.equal(household.model.matches.student.SSA_Match_Status.result, 'DOB mismatch')
+    })
+})
+
+describe('isir_record_validate', () => {
+    const rule_hits = (isir_frame, opt={}) =>
+        isir_module.isir_record_validate(isir_frame, {mode: 'ignore', ... opt}).map(e => [e.rule.rule, e.field.idx, e.issue_codes[0].code])
+
+    it('passes mock ISIRs', () => {
+        assert.deepEqual(rule_hits(isir_module.isir_mock({}, {seed: 1})), [])
+        assert.deepEqual(rule_hits(isir_module.isir_mock({dependency: 'D'}, {seed: 2})), [])
+    })
+
+    it('reports required, not allowed, and inconsistent fields', () => {
+        assert.deepEqual(rule_hits(with_fields([[52, '1'], [44, '1']])),
+            [['student_personal_circumstances_none', 44, 'rule_not_allowed']])
+        assert.deepEqual(rule_hits(with_fields([[129, '1'], [130, '']])),
+            [['student_signature_date', 130, 'rule_required']])
+        assert.deepEqual(rule_hits(with_fields([[6, 'D'], [20, 'B']])).filter(([rule]) => rule.startsWith('sai_formula')),
+            [['sai_formula_independent', 6, 'rule_inconsistent']])
+    })
+
+    it('evaluates the rules given', () => {
+        let rules = [{rule: 'custom', note: 'Custom rule', when: [25], require: [26]}]
+        assert.deepEqual(rule_hits(with_fields([[26, '']]), {rules}), [['custom', 26, 'rule_required']])
+    })
+
+    it('are opt-in for isir_load_report', () => {
+        let isir_frame = with_fields([[52, '1'], [44, '1']])
+        assert.equal(isir_module.isir_load_report(isir_frame).rule_violations, undefined)
+        assert.throws(() => isir_module.isir_load_report(isir_frame, {rules: true}), isir_module.ISIRValidationError)
+
+        let isir_validation = new Map()
+        isir_module.isir_load_report(isir_frame, {mode: isir_validation, rules: true})
+        assert.deepEqual(isir_validation.get(isir_record_fields[44]).issues, ['not allowed: "None of the above" excludes other student personal circumstances'])
+    })
+})
+
+describe('SAIG envelope', () => {
+    const saig = {mailbox: 'TG99999', message_class: 'IDAP25OP', batch: '42'}
+    const isir_frames = [isir_module.isir_mock({}, {seed: 1}), isir_module.isir_mock({}, {seed: 2})]
+
+    // Read lines of ISIR file text, split into small chunks to cross line boundaries
+    async function read_lines(text, opt) {
+        let bytes = new TextEncoder().encode(text), chunks = []
+        for (let pos=0; pos<bytes.length; pos+=1000)
+            chunks.push(bytes.subarray(pos, pos+1000))
+        let entries = []
+        for await (let entry of isir_module.aiter_isir_file_lines(chunks, opt))
+            entries.push(entry)
+        return entries
+    }
+
+    it('parses SAIG headers and trailers', () => {
+        assert.deepEqual({... isir_module.isir_saig_parse('O*N05TG99999       ,CLS=IDSA25OP,XXX,BAT=,')},
+            {kind: 'header', mailbox: 'TG99999', message_class: 'IDSA25OP', batch: '', count: null})
+        assert.deepEqual({... isir_module.isir_saig_parse('O*N95TG99999       ,CLS=IDSA25OP,XXX,BAT=7,      100')},
+            {kind: 'trailer', mailbox: 'TG99999', message_class: 'IDSA25OP', batch: '7', count: 100})
+        assert.equal(isir_module.isir_saig_parse(isir_frames[0]), null)
+    })
+
+    it('round-trips written headers and trailers, padded to the record length', () => {
+        let [header, ... rest] = isir_module.isir_saig_envelope(isir_frames, saig)
+        let trailer = rest.pop()
+        assert.deepEqual(rest, isir_frames)
+        assert.equal(header.length, isir_frames[0].length)
+        assert.equal(trailer.length, isir_frames[0].length)
+        assert.deepEqual({... isir_module.isir_saig_parse(header)}, {kind: 'header', ... saig, count: null})
+        assert.deepEqual({... isir_module.isir_saig_parse(trailer)}, {kind: 'trailer', ... saig, count: 2})
+        assert.equal(isir_module.isir_saig_envelope(isir_frames, {... saig, trailer: false}).length, 3)
+    })
+
+    it('rejects non-standard mailboxes and message classes', () => {
+        assert.throws(() => isir_module.isir_saig_header({... saig, mailbox: 'XX1'}), /Invalid SAIG mailbox "XX1"/)
+        assert.throws(() => isir_module.isir_saig_trailer({... saig, message_class: 'IDAP25', count: 1}), /Invalid SAIG message class "IDAP25"/)
+    })
+
+    it('classifies lines of ISIR files, checking trailer counts', async () => {
+        let lines = isir_module.isir_saig_envelope(isir_frames, saig)
+        let entries = await read_lines(lines.map(ln => ln+'\r\n').join(''))
+        assert.deepEqual(entries.map(e => [e.kind, e.line, e.saig?.kind, e.invalid]),
+            [['saig', 1, 'header', undefined], ['isir', 2, undefined, undefined],
+             ['isir', 3, undefined, undefined], ['saig', 4, 'trailer', undefined]])
+        assert.equal(entries[2].text, isir_frames[1])
+        assert.equal(entries[2].offset, 2 * (isir_frames[0].length + 2))
+
+        lines.splice(2, 1) // drop an ISIR frame, keeping the trailer count
+        entries = await read_lines(lines.join('\n'))
+        assert.equal(entries.at(-1).invalid, 'SAIG trailer count 2; found 1 ISIR frames')
+    })
+})
+
+describe('isir_diff', () => {
+    const isir_a = isir_module.isir_mock({}, {seed: 1})
+    // correction of the student first name, as transaction 02 correcting transaction 01
+    const isir_b = with_fields([[5, '02'], [280, '01'], [25, 'Corrected'], [331, '110']], isir_a)
+
+    it('lists field changes grouped by section, with correction flags of changed data fields', () => {
+        let isir_diff = isir_module.isir_diff(isir_a, isir_b)
+        assert.deepEqual(isir_diff.map(section => [section.path.join('.'), section.changes.map(({field}) => field.idx)]),
+            [['transaction', [5]], ['student.identity', [25]], ['FPS', [280]], ['correction', [331]]])
+
+        let [change] = isir_diff[1].changes
+        assert.equal(change.raw_b.trim(), 'Corrected')
+        assert.equal(change.b, 'Corrected')
+        assert.equal(change.a, isir_module.isir_field_read_raw(isir_record_fields[25], isir_a).trim())
+        assert.deepEqual({... change.flags}, {raw: '110', correction: '1', highlight: '1', verify: '0'})
+        assert.equal(change.flags.field, isir_record_fields[331])
+    })
+
+    it('identifies the compared transactions', () => {
+        let fafsa_uuid = isir_module.isir_field_read_raw(isir_record_fields[2], isir_a)
+        assert.deepEqual(isir_module.isir_diff(isir_a, isir_b).transactions, [
+            {fafsa_uuid, transaction_number: '01', correction_applied: ''},
+            {fafsa_uuid, transaction_number: '02', correction_applied: '01'}])
+    })
+
+    it('is empty for identical ISIR frames', () => {
+        assert.deepEqual([... isir_module.isir_diff(isir_a, isir_a)], [])
+    })
+})
+
+describe('isir_correction_targets', () => {
+    const targets = isir_module.isir_correction_targets()
+    const target_of = idx => targets.get(isir_record_fields[idx])
+
+    it('maps each correction section field to a distinct data field', () => {
+        assert.deepEqual([... targets.keys()].map(field => field.idx),
+            Array.from({length: 556 - 331 + 1}, (_, i) => 331 + i))
+        let data_fields = [... targets.values()].map(({field}) => field)
+        assert.equal(new Set(data_fields).size, targets.size)
+        assert.deepEqual(data_fields.filter(field => field.idx >= 331), [])
+    })
+
+    it('maps by person and field path, including mismatched names', () => {
+        assert.equal(target_of(331).field.idx, 25)
+        assert.deepEqual(target_of(331).path, ['student', 'identity', 'First_Name'])
+        assert.deepEqual(target_of(556).path, ['parent_spouse', 'consent', 'Signature_Date'])
+        for (let [flag_idx, idx] of [[347, 42], [357, 52], [363, 58], [364, 59], [389, 84], [497, 194]])
+            assert.equal(target_of(flag_idx).field.idx, idx, `f_${flag_idx}`)
+    })
+
+    it('targets manually entered values rather than FTI-M values', () => {
+        for (let {section} of targets.values())
+            assert.doesNotMatch(section.path.join('.'), /ftim/i)
+    })
+
+    it('reads flags by the data field they describe, skipping unset flags', () => {
+        let isir_frame = with_fields([[331, '110'], [389, '001']])
+        let by_field = isir_module.isir_correction_flags_by_field(isir_frame)
+        assert.deepEqual([... by_field].map(([field, flags]) => [field.idx, {... flags}]), [
+            [25, {raw: '110', correction: '1', highlight: '1', verify: '0'}],
+            [84, {raw: '001', correction: '0', highlight: '0', verify: '1'}]])
+    })
+
+    it('embeds flags next to the values they describe in isir_load_json', () => {
+        let obj = isir_module.isir_load_json(with_fields([[331, '110']]), {mode: 'ignore', flags: true})
+        assert.deepEqual(obj.student.identity.First_Name_flags, {correction: '1', highlight: '1', verify: '0'})
+        assert.equal(obj.student.identity.Last_Name_flags, undefined)
+    })
+})
+
+describe('isir_anonymize', () => {
+    let isir_frames, mapping, anonymized
+    before(async () => {
+        isir_frames = []
+        for await (let {text} of isir_module.aiter_isir_frames(fs.createReadStream(path.join(repo_root, 'test-isir-files/IDSA25OP-20240308.txt'))))
+            if (isir_frames.push(text) >= 10) break
+        mapping = new Map()
+        anonymized = isir_frames.map(isir_frame => isir_module.isir_anonymize(isir_frame, {mapping}))
+    })
+
+    const originals = kind => isir_module.isir_anonymize_report(mapping)
+        .filter(entry => kind == entry.kind).map(entry => entry.original)
+    const read_field = (idx, isir_frame) => isir_module.isir_field_read_raw(isir_record_fields[idx], isir_frame).trim()
+
+    it('removes every original name, SSN, and email address', () => {
+        for (let kind of ['first_name', 'last_name', 'ssn', 'email']) {
+            let values = originals(kind)
+            assert.ok(values.length, kind)
+            for (let value of values) {
+                let rx_value = new RegExp(`\\b${value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`)
+                assert.equal(anonymized.find(isir_frame => rx_value.test(isir_frame)), undefined, `${kind} ${value}`)
+            }
+        }
+    })
+
+    it('replaces values consistently, keeping record length and validity', () => {
+        assert.deepEqual(isir_frames.map(isir_frame => isir_module.isir_anonymize(isir_frame, {mapping})), anonymized)
+        for (let [i, isir_frame] of anonymized.entries()) {
+            assert.equal(isir_frame.length, isir_frames[i].length)
+            let failed = isir_frame => {
+                let isir_validation = new Map()
+                isir_module.isir_load_report(isir_frame, {mode: isir_validation})
+                return [... isir_validation.keys()].map(field => field.idx)
+            }
+            assert.deepEqual(failed(isir_frame), failed(isir_frames[i]))
+        }
+    })
+
+    it('keeps years and months of birth and the first zip code digits', () => {
+        assert.equal(read_field(29, anonymized[0]).slice(0, 6), read_field(29, isir_frames[0]).slice(0, 6))
+        assert.equal(read_field(37, anonymized[0]).slice(0, 3), read_field(37, isir_frames[0]).slice(0, 3))
+        assert.match(read_field(30, anonymized[0]), /^666\d{6}$/)
+    })
+
+    it('replaces every name part of each person and the preparer', () => {
+        const name_fields = [25, 26, 27, 132, 133, 134, 166, 167, 168, 222, 223, 224, 256, 257]
+        const suffix_fields = [28, 135, 169, 225]
+        let isir_frame = with_fields([
+            ... name_fields.map(idx => [idx, `Name${idx}`]),
+            ... suffix_fields.map(idx => [idx, 'Jr'])])
+        let result = isir_module.isir_anonymize(isir_frame)
+        for (let idx of [... name_fields, ... suffix_fields]) {
+            assert.ok(read_field(idx, result), `f_${idx}`)
+            assert.notEqual(read_field(idx, result), read_field(idx, isir_frame), `f_${idx}`)
+        }
+        assert.doesNotThrow(() => isir_module.isir_load_report(result))
+    })
+
+    it('keeps cities, states, and high schools unchanged, as documented', () => {
+        for (let idx of [35, 36, 70, 71, 72, 260])
+            assert.equal(read_field(idx, anonymized[0]), read_field(idx, isir_frames[0]), `f_${idx}`)
+    })
+})
+
+describe('isir_mock', () => {
+    const scenarios = [{}, {dependency: 'I', contributors: 2}, {dependency: 'I', dependents: 2, tax: 'manual'},
+        {dependency: 'Z'}, {contributors: 2, tax: {student: 'nonfiler', parent: 'fti', parent_spouse: 'manual'}}]
+    const read_field = (idx, isir_frame) => isir_module.isir_field_read_raw(isir_record_fields[idx], isir_frame).trim()
+
+    it('generates the same ISIR frame for the same seed and scenario', () => {
+        for (let scenario of scenarios) {
+            assert.equal(isir_module.isir_mock(scenario, {seed: 'fixture'}), isir_module.isir_mock(scenario, {seed: 'fixture'}))
+            assert.notEqual(isir_module.isir_mock(scenario, {seed: 1}), isir_module.isir_mock(scenario, {seed: 2}))
+        }
+        assert.equal(isir_module.isir_mock(), isir_module.isir_mock({}, {seed: 0}))
+    })
+
+    it('generates complete frames passing field validation and record rules', () => {
+        for (let scenario of scenarios) {
+            let isir_frame = isir_module.isir_mock(scenario, {seed: 1})
+            assert.equal(isir_frame.length, isir_module.isir_blank().length)
+            assert.doesNotThrow(() => isir_module.isir_load_report(isir_frame, {rules: true}), JSON.stringify(scenario))
+            assert.equal(read_field(6, isir_frame), scenario.dependency ?? 'D')
+        }
+    })
+
+    it('fills SAI and Pell eligibility from isir_compute_sai and isir_compute_pell', () => {
+        for (let seed of [1, 2, 3]) {
+            let isir_frame = isir_module.isir_mock({}, {seed})
+            assert.equal(read_field(18, isir_frame), `${isir_module.isir_compute_sai(isir_frame).sai}`)
+        }
+        assert.equal(read_field(18, isir_module.isir_mock({dependency: 'Z'}, {seed: 1})), '')
+        for (let pell of [true, false])
+            for (let seed of [1, 2, 3])
+                assert.equal('Y' == read_field(571, isir_module.isir_mock({pell}, {seed})), pell, `pell ${pell}, seed ${seed}`)
+    })
+
+    it('rejects unknown scenario entries', () => {
+        assert.throws(() => isir_module.isir_mock({dependency: 'X'}), /Unknown mock ISIR dependency "X"/)
+        assert.throws(() => isir_module.isir_mock({contributors: 3}), /Unknown mock ISIR contributors 3/)
+        assert.throws(() => isir_module.isir_mock({tax: {parent: 'paper'}}), /Unknown mock ISIR tax "paper"/)
+    })
+})
+
+describe('isir_mock_template', () => {
+    const read_field = (idx, isir_frame) => isir_module.isir_field_read_raw(isir_record_fields[idx], isir_frame).trim()
+
+    // by template: dependency model (field 6), SAI formula (field 20), IRS response codes of the student,
+    // student spouse, parent, and parent spouse (fields 881, 901, 921, 941), and Pell eligibility (field 571)
+    const branches = {
+        1: ['I', 'C', '200', '', '', '', 'Y'],
+        2: ['Z', '', '200', '', '', '', ''],
+        3: ['I', 'B', '206', '', '', '', 'Y'],
+        4: ['D', 'A', '214', '', '214', '214', 'Y'],
+        5: ['D', 'A', '200', '', '200', '', 'Y'],
+        6: ['D', 'A', '200', '', '200', '206', ''],
+        7: ['D', 'A', '200', '', '200', '', ''],
+        8: ['D', 'A', '214', '', '200', '', 'Y'],
+    }
+
+    it('exercises the branches of each hand-crafted test scenario for every seed', () => {
+        assert.deepEqual(Object.keys(isir_module.isir_mock_templates), Object.keys(branches))
+        for (let [template, expected] of Object.entries(branches)) {
+            for (let seed of [1, 2, 3]) {
+                let isir_frame = isir_module.isir_mock_template(template, {seed})
+                assert.deepEqual([6, 20, 881, 901, 921, 941, 571].map(idx => read_field(idx, isir_frame)), expected,
+                    `template ${template}, seed ${seed}`)
+                assert.doesNotThrow(() => isir_module.isir_load_report(isir_frame, {rules: true}))
+            }
+        }
+    })
+
+    it('varies incomes and households with the seed', () => {
+        // raw values of the manually entered and FTI-M financial sections
+        const finances = isir_frame => isir_module.isir_record_sections
+            .filter(section => /^financial_(manual|ftim)$/.test(section.path.at(-1)))
+            .flatMap(section => section.field_list.map(field => isir_module.isir_field_read_raw(field, isir_frame)))
+            .join('')
+
+        for (let template of Object.keys(branches)) {
+            let variants = new Set([1, 2, 3, 4].map(seed => finances(isir_module.isir_mock_template(template, {seed}))))
+            assert.ok(variants.size > 1, `template ${template}`)
+        }
+    })
+
+    it('applies scenario overrides', () => {
+        let isir_frame = isir_module.isir_mock_template(5, {seed: 1, scenario: {state: 'TX'}})
+        assert.equal(read_field(36, isir_frame), 'TX')
+        assert.equal(read_field(35, isir_frame), isir_module.isir_mock_places.TX[0])
+    })
+
+    it('rejects unknown templates', () => {
+        assert.throws(() => isir_module.isir_mock_template(9), /Unknown mock ISIR scenario template 9; expected one of 1, 2/)
+    })
+})